@@ -1,285 +1,537 @@
-// admin-cli.js - Command-line tool for admin to manage directories and files
-// Run with: node admin-cli.js <command> [options]
+// admin-cli.js - Command-line tool for admins: firmware directories and releases through the server API
+// Run with: node admin-cli.js <command> [arguments] [options]   (node admin-cli.js help)
+//
+// Non-interactive apart from `login` without --code, so it can run in release pipelines:
+//   node admin-cli.js login ci@example.com --send            # emails the code
+//   node admin-cli.js login ci@example.com --code 123456     # stores the session
+//   node admin-cli.js firmware upload Wheel-Turtle-Club build/wtc-3.2.0.bin --channel beta --json
+//
+// The session (access + refresh token) is kept per server in ~/.teamplus-cli.json, or the
+// file named by TEAMPLUS_CREDENTIALS; refresh tokens rotate, so pipelines should keep that
+// file rather than a copy of the token. TEAMPLUS_TOKEN supplies an access token instead.
+//
+// `devices provision` is the one local command: run on the server host, it re-applies
+// directory-setup.js (permissions, .metadata.json, hooks) to a directory that is already
+// there, e.g. one copied in by hand or created before provisioning existed.
 
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const readline = require('readline');
+const { parseArgs } = require('util');
+const safePath = require('./safe-path');
+const directorySetup = require('./directory-setup');
+const DeviceProfiles = require('./device-profiles');
+
+const DEFAULT_SERVER = 'http://localhost:3000';
+const DEFAULT_FIRMWARE_DIR = path.join(__dirname, 'public', 'firmware');
+const CREDENTIALS_FILE = process.env.TEAMPLUS_CREDENTIALS || path.join(os.homedir(), '.teamplus-cli.json');
+
+// Exit codes, for scripts
+const EXIT = {
+  OK: 0,
+  ERROR: 1,       // server error or anything unexpected
+  USAGE: 2,       // bad command line
+  AUTH: 3,        // not logged in, session ended, or not an admin
+  NOT_FOUND: 4,   // directory or file does not exist
+  CONFLICT: 5,    // name already taken
+  REJECTED: 6,    // the server refused the input (invalid name, image, version, ...)
+  NETWORK: 7      // server unreachable
+};
+
+const USAGE = `Usage: node admin-cli.js <command> [arguments] [options]
+
+Commands:
+  login <email> [--code <code> | --send]   Sign in with an emailed code (admins only)
+  logout                                   End the stored session
+
+  devices list
+  devices create <name> [--description <text>]
+  devices rename <name> <new-name>
+  devices delete <name> --yes              Deletes every release in it
+  devices provision <name> [--description <text>] [--firmware-dir <path>]
+                                           On the server host: set up an existing directory
+
+  firmware list <device>
+  firmware upload <device> <file.bin> [--version <v>] [--channel <c>] [--rollout <pct>]
+                  [--allow <emails>] [--notes <text> | --notes-file <path>] [--model <m>] [--pin]
+  firmware rename <device> <file> <new-name>
+  firmware delete <device> <file> --yes
+  firmware promote <device> <file> [--channel <c>] [--rollout <pct>] [--allow <emails>] [--pin]
+                                           Channel defaults to stable
+
+  <device> is a firmware directory (Wheel-Turtle-Club) or a model id from device-profiles.js
+  (wheel-turtle-club). Firmware commands refuse a directory the server doesn't have; create
+  it first with "devices create".
+
+Options:
+  --server <url>   Server address (default $TEAMPLUS_SERVER or ${DEFAULT_SERVER})
+  --json           Print the result as JSON on stdout, also for errors
+  --yes            Confirm a delete
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 auth, 4 not found, 5 conflict, 6 rejected, 7 network
+`;
+
+const OPTIONS = {
+  server: { type: 'string' },
+  json: { type: 'boolean' },
+  yes: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  code: { type: 'string' },
+  send: { type: 'boolean' },
+  version: { type: 'string' },
+  channel: { type: 'string' },
+  rollout: { type: 'string' },
+  allow: { type: 'string' },
+  notes: { type: 'string' },
+  'notes-file': { type: 'string' },
+  model: { type: 'string' },
+  pin: { type: 'boolean' },
+  description: { type: 'string' },
+  'firmware-dir': { type: 'string' }
+};
+
+class CliError extends Error {
+  constructor(message, exitCode = EXIT.ERROR) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
 
-const execAsync = promisify(exec);
-
-// Configuration
-const UPLOAD_BASE_DIR = process.env.UPLOAD_DIR || path.resolve('./uploads');
-const POWERSHELL_SCRIPTS_DIR = path.resolve('./scripts');
-
-// Create readline interface
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+function usageError(message) {
+  return new CliError(`${message}\nRun "node admin-cli.js help" for usage.`, EXIT.USAGE);
+}
 
-function question(prompt) {
-  return new Promise((resolve) => {
-    rl.question(prompt, resolve);
-  });
+function exitCodeForStatus(status) {
+  if (status === 401 || status === 403) return EXIT.AUTH;
+  if (status === 404) return EXIT.NOT_FOUND;
+  if (status === 409) return EXIT.CONFLICT;
+  if (status >= 400 && status < 500) return EXIT.REJECTED;
+  return EXIT.ERROR;
 }
 
-// Execute PowerShell script
-async function executePowerShell(scriptName, args = []) {
-  const scriptPath = path.join(POWERSHELL_SCRIPTS_DIR, scriptName);
-  const argsString = args.map(arg => `"${arg}"`).join(' ');
-  const command = `powershell.exe -ExecutionPolicy Bypass -File "${scriptPath}" ${argsString}`;
-  
+/* ---- stored sessions ---- */
+async function readCredentials() {
   try {
-    const { stdout, stderr } = await execAsync(command);
-    if (stderr) console.error('PowerShell stderr:', stderr);
-    return { success: true, output: stdout };
+    return JSON.parse(await fs.readFile(CREDENTIALS_FILE, 'utf-8'));
   } catch (error) {
-    console.error('PowerShell execution error:', error);
-    return { success: false, error: error.message };
+    if (error.code === 'ENOENT') return {};
+    throw new CliError(`Cannot read ${CREDENTIALS_FILE}: ${error.message}`);
   }
 }
 
-// Create directory
-async function createDirectory() {
-  console.log('\n=== CREATE NEW DIRECTORY ===\n');
-  
-  const dirName = await question('Directory name (letters, numbers, hyphens, underscores only): ');
-  
-  if (!dirName || !/^[a-zA-Z0-9_-]+$/.test(dirName)) {
-    console.log('❌ Invalid directory name!');
-    return;
-  }
+// session: { email, role, token, refreshToken } or null to forget the server
+async function saveSession(server, session) {
+  const all = await readCredentials();
+  if (session) all[server] = session;
+  else delete all[server];
+  await fs.writeFile(CREDENTIALS_FILE, JSON.stringify(all, null, 2), { mode: 0o600 });
+}
 
-  const description = await question('Description (optional): ');
-  
-  const targetPath = path.join(UPLOAD_BASE_DIR, dirName);
+/* ---- server API ---- */
+function createClient(server) {
+  let session = null;
+
+  async function send(method, urlPath, { body, token } = {}) {
+    const headers = {};
+    let payload;
+    if (body instanceof FormData) {
+      payload = body;
+    } else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+    if (token) headers.Authorization = `Bearer ${token}`;
 
-  try {
-    // Check if directory already exists
+    let response;
     try {
-      await fs.access(targetPath);
-      console.log('❌ Directory already exists!');
-      return;
+      response = await fetch(server + urlPath, { method, headers, body: payload });
+    } catch (error) {
+      throw new CliError(`Cannot reach ${server}: ${error.cause?.code || error.cause?.message || error.message}`, EXIT.NETWORK);
+    }
+    // Some failures (an upload multer refused, a proxy error) don't answer JSON
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
     } catch {
-      // Directory doesn't exist, proceed
+      data = { error: text.trim().slice(0, 200) || response.statusText };
+    }
+    return { status: response.status, data };
+  }
+
+  async function loadSession() {
+    if (process.env.TEAMPLUS_TOKEN) return { token: process.env.TEAMPLUS_TOKEN };
+    const stored = (await readCredentials())[server];
+    if (!stored) throw new CliError(`Not logged in to ${server}. Run: node admin-cli.js login <email>`, EXIT.AUTH);
+    return stored;
+  }
+
+  async function refresh() {
+    if (!session.refreshToken) return false;
+    const { status, data } = await send('POST', '/auth/refresh', { body: { refreshToken: session.refreshToken } });
+    if (status !== 200 || !data.token) {
+      await saveSession(server, null);
+      return false;
     }
+    session = { ...session, token: data.token, refreshToken: data.refreshToken, role: data.role };
+    await saveSession(server, session);
+    return true;
+  }
 
-    // Create directory
-    await fs.mkdir(targetPath, { recursive: true });
-    console.log(`✓ Directory created: ${targetPath}`);
-
-    // Execute PowerShell script for Windows permissions
-    console.log('⚙ Setting up permissions...');
-    const psResult = await executePowerShell('setup-directory.ps1', [targetPath, description || '']);
-    
-    if (psResult.success) {
-      console.log('✓ PowerShell setup completed');
-      console.log(psResult.output);
-    } else {
-      console.log('⚠ PowerShell setup failed:', psResult.error);
+  // Authenticated request; refreshes an expired access token once. Returns the JSON body
+  // of a successful answer, throws a CliError with a matching exit code otherwise.
+  async function request(method, urlPath, body) {
+    session = session || await loadSession();
+    let result = await send(method, urlPath, { body, token: session.token });
+    if (result.status === 401 && await refresh()) {
+      result = await send(method, urlPath, { body, token: session.token });
     }
+    const { status, data } = result;
+    if (status >= 200 && status < 300 && data.ok !== false) return data;
+    const message = data.error || `Request failed (HTTP ${status})`;
+    if (status === 401) throw new CliError(`${message}. Run: node admin-cli.js login <email>`, EXIT.AUTH);
+    throw new CliError(message, data.ok === false && status < 400 ? EXIT.REJECTED : exitCodeForStatus(status));
+  }
 
-    // Create metadata file
-    const metaFile = path.join(targetPath, '.metadata.json');
-    await fs.writeFile(metaFile, JSON.stringify({
-      name: dirName,
-      description: description || '',
-      created: new Date().toISOString(),
-      createdBy: process.env.USERNAME || 'admin'
-    }, null, 2));
+  return { send, request };
+}
 
-    console.log('✓ Metadata saved');
-    console.log(`\n✅ Directory "${dirName}" created successfully!\n`);
+/* ---- helpers ---- */
+function enc(value) {
+  return encodeURIComponent(value);
+}
 
-  } catch (error) {
-    console.error('❌ Error creating directory:', error.message);
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
+
+function describeRollout(release) {
+  const rollout = release.rollout || {};
+  const allowed = rollout.allowList?.length ? ` + ${rollout.allowList.length} allow-listed` : '';
+  return `${rollout.percentage ?? 100}%${allowed}`;
+}
+
+// Reads the login code from the terminal; prompts go to stderr so stdout stays clean
+function askCode(email) {
+  if (!process.stdin.isTTY) {
+    throw usageError('No terminal to type the code into. Use --send, then login again with --code <code>.');
   }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(`Code sent to ${email}: `, answer => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
 }
 
-// List directories
-async function listDirectories() {
-  console.log('\n=== EXISTING DIRECTORIES ===\n');
-  
-  try {
-    const entries = await fs.readdir(UPLOAD_BASE_DIR, { withFileTypes: true });
-    const directories = entries.filter(entry => entry.isDirectory());
+function requireArgs(args, count, usage) {
+  if (args.length < count) throw usageError(`Usage: node admin-cli.js ${usage}`);
+  return args;
+}
 
-    if (directories.length === 0) {
-      console.log('No directories found.');
-      return;
-    }
+function requireYes(options, what) {
+  if (!options.yes) throw usageError(`Refusing to delete ${what} without --yes`);
+}
+
+// Channel, rollout and allow-list options as the release endpoints name them
+function releaseOptions(options) {
+  const fields = {};
+  if (options.channel !== undefined) fields.channel = options.channel;
+  if (options.rollout !== undefined) fields.rolloutPercentage = options.rollout;
+  if (options.allow !== undefined) fields.allowList = options.allow;
+  return fields;
+}
+
+// The firmware directory for a firmware command's <device>: a model id becomes its
+// directory; anything else must already exist, so a typo can't upload into a new directory
+async function resolveDevice(client, name) {
+  const profile = DeviceProfiles.findById(name);
+  if (profile && profile.firmwareDirectory) return profile.firmwareDirectory;
+  const { directories } = await client.request('GET', '/api/directories');
+  if (directories.includes(name)) return name;
+  const ids = DeviceProfiles.updatable().map(model => model.id);
+  throw new CliError(`No firmware directory ${name}. Directories: ${directories.join(', ') || 'none'}; model ids: ${ids.join(', ')}`,
+    EXIT.NOT_FOUND);
+}
+
+/* ---- commands ---- */
+async function login(ctx, [email]) {
+  if (!email) throw usageError('Usage: node admin-cli.js login <email> [--code <code> | --send]');
+  const { client, options, server } = ctx;
 
-    for (const dir of directories) {
-      const dirPath = path.join(UPLOAD_BASE_DIR, dir.name);
-      const metaPath = path.join(dirPath, '.metadata.json');
-      
-      try {
-        const metaContent = await fs.readFile(metaPath, 'utf-8');
-        const meta = JSON.parse(metaContent);
-        console.log(`📁 ${dir.name}`);
-        console.log(`   Description: ${meta.description || 'N/A'}`);
-        console.log(`   Created: ${new Date(meta.created).toLocaleString()}`);
-        console.log('');
-      } catch {
-        console.log(`📁 ${dir.name}`);
-        console.log(`   (No metadata available)`);
-        console.log('');
-      }
+  if (!options.code) {
+    const { status, data } = await client.send('POST', '/auth/send-code', { body: { identifier: email, portal: 'admin' } });
+    if (status !== 200) throw new CliError(data.error || `Failed to send code (HTTP ${status})`, exitCodeForStatus(status));
+    if (options.send) {
+      return { result: { ok: true, email, sent: true }, text: `✓ Code sent to ${email}` };
     }
+  }
 
-  } catch (error) {
-    console.error('❌ Error listing directories:', error.message);
+  const code = options.code || await askCode(email);
+  const { status, data } = await client.send('POST', '/auth/verify-code', { body: { identifier: email, code } });
+  if (status !== 200 || !data.token) {
+    // A wrong or expired code is an authentication failure, not bad input
+    throw new CliError(data.error || `Login failed (HTTP ${status})`, status >= 500 ? EXIT.ERROR : EXIT.AUTH);
+  }
+  if (data.role !== 'admin') {
+    throw new CliError(`${data.email} is not an admin`, EXIT.AUTH);
   }
+
+  await saveSession(server, { email: data.email, role: data.role, token: data.token, refreshToken: data.refreshToken });
+  return {
+    result: { ok: true, email: data.email, role: data.role, server },
+    text: `✓ Logged in to ${server} as ${data.email}`
+  };
 }
 
-// List files in directory
-async function listFiles() {
-  console.log('\n=== LIST FILES IN DIRECTORY ===\n');
-  
-  const dirName = await question('Directory name: ');
-  
-  if (!dirName) {
-    console.log('❌ Directory name required!');
-    return;
+async function logout(ctx) {
+  const { client, server } = ctx;
+  const stored = (await readCredentials())[server];
+  if (stored) {
+    // Best effort: the local session is forgotten even if the server can't be reached
+    await client.send('POST', '/auth/logout', { body: { refreshToken: stored.refreshToken }, token: stored.token })
+      .catch(() => {});
+    await saveSession(server, null);
   }
+  return { result: { ok: true }, text: stored ? `✓ Logged out of ${server}` : 'Not logged in' };
+}
 
-  const targetPath = path.join(UPLOAD_BASE_DIR, dirName);
+async function devicesList({ client }) {
+  const data = await client.request('GET', '/api/directories');
+  const details = data.details || data.directories.map(name => ({ name }));
+  const lines = details.map(device => device.description ? `${device.name}\n   ${device.description}` : device.name);
+  return {
+    result: { ok: true, devices: data.directories, details },
+    text: lines.length ? lines.join('\n') : 'No devices found.'
+  };
+}
 
-  try {
-    const entries = await fs.readdir(targetPath, { withFileTypes: true });
-    const files = entries.filter(entry => entry.isFile() && !entry.name.startsWith('.'));
+// Provisioning warnings (permissions, hooks) don't fail the command but are shown
+function withWarnings(text, warnings = []) {
+  return [text, ...warnings.map(warning => `⚠ ${warning}`)].join('\n');
+}
 
-    if (files.length === 0) {
-      console.log('No files found in this directory.');
-      return;
-    }
+async function devicesCreate({ client, options }, args) {
+  const [name] = requireArgs(args, 1, 'devices create <name> [--description <text>]');
+  const data = await client.request('POST', '/api/directories', { name, description: options.description });
+  return {
+    result: { ok: true, device: name, metadata: data.metadata, warnings: data.warnings || [] },
+    text: withWarnings(`✓ Created device ${name}`, data.warnings)
+  };
+}
 
-    console.log(`\nFiles in "${dirName}":\n`);
+async function devicesRename({ client }, args) {
+  const [oldName, newName] = requireArgs(args, 2, 'devices rename <name> <new-name>');
+  await client.request('PUT', '/api/directories/rename', { oldName, newName });
+  return { result: { ok: true, device: newName, previous: oldName }, text: `✓ Renamed device ${oldName} → ${newName}` };
+}
 
-    for (const file of files) {
-      const filePath = path.join(targetPath, file.name);
-      const stats = await fs.stat(filePath);
-      console.log(`📄 ${file.name}`);
-      console.log(`   Size: ${formatFileSize(stats.size)}`);
-      console.log(`   Modified: ${stats.mtime.toLocaleString()}`);
-      console.log('');
-    }
+async function devicesDelete({ client, options }, args) {
+  const [name] = requireArgs(args, 1, 'devices delete <name> --yes');
+  requireYes(options, `device ${name} and all its releases`);
+  await client.request('DELETE', `/api/directories/${enc(name)}`);
+  return { result: { ok: true, device: name }, text: `✓ Deleted device ${name}` };
+}
 
+async function devicesProvision({ options }, args) {
+  const [name] = requireArgs(args, 1, 'devices provision <name> [--description <text>] [--firmware-dir <path>]');
+  const problem = safePath.directoryNameError(name) || directorySetup.descriptionError(options.description);
+  if (problem) throw new CliError(problem, EXIT.REJECTED);
+
+  const firmwareDir = path.resolve(options['firmware-dir'] || DEFAULT_FIRMWARE_DIR);
+  let dirPath;
+  try {
+    dirPath = safePath.resolveInside(firmwareDir, name);
   } catch (error) {
-    console.error('❌ Error listing files:', error.message);
+    throw new CliError(error.message, EXIT.REJECTED);
   }
-}
-
-// Copy file to directory
-async function copyFile() {
-  console.log('\n=== COPY FILE TO DIRECTORY ===\n');
-  
-  const sourcePath = await question('Source file path: ');
-  const targetDir = await question('Target directory name: ');
-  
-  if (!sourcePath || !targetDir) {
-    console.log('❌ Both source path and target directory required!');
-    return;
+  const stats = await fs.stat(dirPath).catch(() => null);
+  if (!stats?.isDirectory()) {
+    throw new CliError(`${dirPath} does not exist. Create it with: node admin-cli.js devices create ${name}`, EXIT.NOT_FOUND);
   }
 
-  try {
-    const sourceStats = await fs.stat(sourcePath);
-    
-    if (!sourceStats.isFile()) {
-      console.log('❌ Source is not a file!');
-      return;
-    }
+  const setup = directorySetup.createDirectorySetup();
+  const { metadata, warnings } = await setup.provision(dirPath, {
+    name,
+    description: options.description,
+    createdBy: os.userInfo().username
+  });
+  return {
+    result: { ok: true, device: name, path: dirPath, metadata, warnings },
+    text: withWarnings(`✓ Provisioned ${dirPath}`, warnings)
+  };
+}
 
-    const targetDirPath = path.join(UPLOAD_BASE_DIR, targetDir);
-    
-    // Check if target directory exists
-    try {
-      await fs.access(targetDirPath);
-    } catch {
-      console.log('❌ Target directory does not exist!');
-      return;
-    }
+async function firmwareList({ client }, args) {
+  const device = await resolveDevice(client, requireArgs(args, 1, 'firmware list <device>')[0]);
+  const data = await client.request('GET', `/api/files?directory=${enc(device)}`);
+  const lines = data.files.map(file => {
+    const release = file.release;
+    const marker = file.name === data.current ? ' (current)' : '';
+    const details = release
+      ? `v${release.version}  ${release.channel}  ${describeRollout(release)}  `
+      : '';
+    return `${file.name}${marker}\n   ${details}${formatFileSize(file.size)}  ${new Date(file.modified).toLocaleString()}`;
+  });
+  return {
+    result: { ok: true, device, current: data.current, files: data.files },
+    text: lines.length ? lines.join('\n') : `No firmware in ${device}.`
+  };
+}
 
-    const fileName = path.basename(sourcePath);
-    const targetPath = path.join(targetDirPath, fileName);
+async function pin(client, device, filename) {
+  const data = await client.request('PUT', `/api/firmware/${enc(device)}/current`, { filename });
+  return data.pin;
+}
 
-    // Copy file
-    await fs.copyFile(sourcePath, targetPath);
-    
-    console.log(`✓ File copied successfully!`);
-    console.log(`   From: ${sourcePath}`);
-    console.log(`   To: ${targetPath}`);
-    console.log(`   Size: ${formatFileSize(sourceStats.size)}`);
+async function firmwareUpload({ client, options }, args) {
+  const [name, filePath] = requireArgs(args, 2, 'firmware upload <device> <file.bin> [options]');
+  const filename = path.basename(filePath);
+  if (!filename.endsWith('.bin')) throw usageError('Only .bin files can be uploaded');
+  const device = await resolveDevice(client, name);
 
+  let data;
+  try {
+    data = await fs.readFile(filePath);
   } catch (error) {
-    console.error('❌ Error copying file:', error.message);
+    throw new CliError(`Cannot read ${filePath}: ${error.message}`, EXIT.USAGE);
+  }
+  const notes = options['notes-file']
+    ? await fs.readFile(options['notes-file'], 'utf-8').catch(error => {
+      throw new CliError(`Cannot read ${options['notes-file']}: ${error.message}`, EXIT.USAGE);
+    })
+    : options.notes;
+
+  // Fields first: multer hands them to the route in order, the file last
+  const form = new FormData();
+  form.append('directory', device);
+  const fields = {
+    ...releaseOptions(options),
+    version: options.version,
+    notes,
+    model: options.model
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) form.append(key, value);
   }
+  form.append('file', new Blob([data], { type: 'application/octet-stream' }), filename);
+
+  const uploaded = await client.request('POST', '/api/upload', form);
+  const result = { ok: true, device, filename: uploaded.filename, size: uploaded.size, release: uploaded.release };
+  const lines = [`✓ Uploaded ${uploaded.filename} to ${device}: v${uploaded.release.version}, ${uploaded.release.channel}, ${describeRollout(uploaded.release)}`];
+  if (options.pin) {
+    result.pin = await pin(client, device, uploaded.filename);
+    lines.push(`✓ Pinned ${uploaded.filename} as current`);
+  }
+  return { result, text: lines.join('\n') };
 }
 
-// Format file size
-function formatFileSize(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+async function firmwareRename({ client }, args) {
+  const [name, oldName, newName] = requireArgs(args, 3, 'firmware rename <device> <file> <new-name>');
+  const directory = await resolveDevice(client, name);
+  await client.request('PUT', '/api/files/rename', { directory, oldName, newName });
+  return {
+    result: { ok: true, device: directory, filename: newName, previous: oldName },
+    text: `✓ Renamed ${oldName} → ${newName} in ${directory}`
+  };
 }
 
-// Main menu
-async function mainMenu() {
-  console.log('\n╔════════════════════════════════════════╗');
-  console.log('║   TEAM PLUS - ADMIN FILE MANAGER      ║');
-  console.log('╚════════════════════════════════════════╝\n');
-  console.log('1. Create new directory');
-  console.log('2. List all directories');
-  console.log('3. List files in directory');
-  console.log('4. Copy file to directory');
-  console.log('5. Exit\n');
-
-  const choice = await question('Select option (1-5): ');
-
-  switch (choice.trim()) {
-    case '1':
-      await createDirectory();
-      break;
-    case '2':
-      await listDirectories();
-      break;
-    case '3':
-      await listFiles();
-      break;
-    case '4':
-      await copyFile();
-      break;
-    case '5':
-      console.log('\nGoodbye!\n');
-      rl.close();
-      process.exit(0);
-      return;
-    default:
-      console.log('❌ Invalid option!');
+async function firmwareDelete({ client, options }, args) {
+  const [name, filename] = requireArgs(args, 2, 'firmware delete <device> <file> --yes');
+  requireYes(options, `${name}/${filename}`);
+  const directory = await resolveDevice(client, name);
+  await client.request('DELETE', '/api/files', { directory, filename });
+  return { result: { ok: true, device: directory, filename }, text: `✓ Deleted ${filename} from ${directory}` };
+}
+
+async function firmwarePromote({ client, options }, args) {
+  const [name, filename] = requireArgs(args, 2, 'firmware promote <device> <file> [--channel <c>] [--rollout <pct>] [--allow <emails>] [--pin]');
+  const device = await resolveDevice(client, name);
+  const fields = { channel: 'stable', ...releaseOptions(options) };
+  const data = await client.request('PUT', `/api/firmware/${enc(device)}/releases/${enc(filename)}`, fields);
+  const result = { ok: true, device, filename, release: data.release };
+  const lines = [`✓ ${filename} is now ${data.release.channel}, ${describeRollout(data.release)}`];
+  if (options.pin) {
+    result.pin = await pin(client, device, filename);
+    lines.push(`✓ Pinned ${filename} as current`);
   }
+  return { result, text: lines.join('\n') };
+}
 
-  // Return to menu
-  await mainMenu();
+const COMMANDS = {
+  login,
+  logout,
+  devices: {
+    list: devicesList,
+    create: devicesCreate,
+    rename: devicesRename,
+    delete: devicesDelete,
+    provision: devicesProvision
+  },
+  firmware: {
+    list: firmwareList,
+    upload: firmwareUpload,
+    rename: firmwareRename,
+    delete: firmwareDelete,
+    promote: firmwarePromote
+  }
+};
+
+/* ---- main ---- */
+function report(json, error) {
+  if (json) {
+    console.log(JSON.stringify({ ok: false, error: error.message, exitCode: error.exitCode }, null, 2));
+  } else {
+    console.error(`❌ ${error.message}`);
+  }
 }
 
-// Initialize
-async function init() {
+async function main(argv) {
+  let parsed;
   try {
-    // Ensure base directories exist
-    await fs.mkdir(UPLOAD_BASE_DIR, { recursive: true });
-    await fs.mkdir(POWERSHELL_SCRIPTS_DIR, { recursive: true });
-    
-    await mainMenu();
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
   } catch (error) {
-    console.error('❌ Initialization error:', error.message);
-    rl.close();
-    process.exit(1);
+    throw usageError(error.message);
+  }
+  const { values: options, positionals } = parsed;
+  const [name, ...rest] = positionals;
+
+  if (options.help || name === 'help') {
+    process.stdout.write(USAGE);
+    return;
   }
+  if (!name) {
+    process.stderr.write(USAGE);
+    process.exitCode = EXIT.USAGE;
+    return;
+  }
+
+  let command = COMMANDS[name];
+  let args = rest;
+  if (command && typeof command === 'object') {
+    command = command[rest[0]];
+    args = rest.slice(1);
+    if (!command) throw usageError(`Unknown ${name} command: ${rest[0] || '(none)'}`);
+  }
+  if (!command) throw usageError(`Unknown command: ${name}`);
+
+  const server = (options.server || process.env.TEAMPLUS_SERVER || DEFAULT_SERVER).replace(/\/+$/, '');
+  const { result, text } = await command({ client: createClient(server), options, server }, args);
+  console.log(options.json ? JSON.stringify(result, null, 2) : text);
 }
 
 // Run
-init();
\ No newline at end of file
+const argv = process.argv.slice(2);
+main(argv).catch(error => {
+  const cliError = error instanceof CliError ? error : new CliError(error.message || String(error));
+  report(argv.includes('--json'), cliError);
+  process.exitCode = cliError.exitCode;
+});
@@ -0,0 +1,155 @@
+// auth-check.js - Shared login guard and authenticated fetch for Team Plus pages
+// Include with: <script src="auth-check.js" data-login-page="index.html" data-require-login></script>
+//   data-login-page    page to send the user to when the session is missing or rejected (default index.html)
+//   data-require-login redirect straight away when no token is stored
+// Pages define API_BASE; requests go to the same origin when they don't.
+
+(function () {
+  const script = document.currentScript;
+  const LOGIN_PAGE = (script && script.dataset.loginPage) || 'index.html';
+  // Refresh a little before the access token actually expires
+  const REFRESH_MARGIN_SEC = 60;
+
+  let refreshInFlight = null;
+
+  function apiBase() {
+    return typeof API_BASE !== 'undefined' ? API_BASE : '';
+  }
+
+  function saveSession(data) {
+    localStorage.setItem('authToken', data.token);
+    if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+    if (data.role) localStorage.setItem('userRole', data.role);
+    if (data.email) localStorage.setItem('userEmail', data.email);
+  }
+
+  function clearSession() {
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('userRole');
+    localStorage.removeItem('userEmail');
+  }
+
+  function redirectToLogin(message) {
+    clearSession();
+    if (message) alert(message);
+    window.location.href = LOGIN_PAGE;
+  }
+
+  function tokenExpiry(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return payload.exp || 0;
+    } catch {
+      return 0;
+    }
+  }
+
+  // Trades the stored refresh token for a new access/refresh pair.
+  // Resolves true on success; concurrent callers share one request.
+  function refreshSession() {
+    if (refreshInFlight) return refreshInFlight;
+
+    refreshInFlight = (async () => {
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (!refreshToken) return false;
+
+      try {
+        const resp = await fetch(`${apiBase()}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+        const data = await resp.json();
+        if (data.ok) {
+          saveSession(data);
+          return true;
+        }
+        // Another tab may have rotated the token first
+        return localStorage.getItem('refreshToken') !== refreshToken;
+      } catch (err) {
+        console.error('Session refresh error:', err);
+        return false;
+      }
+    })();
+
+    refreshInFlight.finally(() => { refreshInFlight = null; });
+    return refreshInFlight;
+  }
+
+  async function ensureFreshToken() {
+    const token = localStorage.getItem('authToken');
+    if (!token) return false;
+    if (tokenExpiry(token) - Date.now() / 1000 > REFRESH_MARGIN_SEC) return true;
+    return refreshSession();
+  }
+
+  function authHeaders(headers = {}) {
+    const token = localStorage.getItem('authToken');
+    return token ? { ...headers, Authorization: `Bearer ${token}` } : { ...headers };
+  }
+
+  // Returns true (and redirects) when the server rejected the session
+  function handleAuthStatus(status) {
+    if (status === 401) {
+      redirectToLogin('⚠️ Session expired or invalid. Please login again.');
+      return true;
+    }
+    if (status === 403) {
+      redirectToLogin('🔒 Your account does not have access to this page. Please login with an authorized account.');
+      return true;
+    }
+    return false;
+  }
+
+  // fetch() with the stored Bearer token. A 401 triggers one refresh and retry;
+  // anything still unauthorized redirects to the login page.
+  async function authFetch(url, options = {}) {
+    await ensureFreshToken();
+    let response = await fetch(url, { ...options, headers: authHeaders(options.headers) });
+
+    if (response.status === 401 && await refreshSession()) {
+      response = await fetch(url, { ...options, headers: authHeaders(options.headers) });
+    }
+
+    if (handleAuthStatus(response.status)) {
+      throw new Error('Not authorized');
+    }
+    return response;
+  }
+
+  async function endSession() {
+    try {
+      await fetch(`${apiBase()}/auth/logout`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+      });
+    } catch (err) {
+      console.error('Logout request failed:', err);
+    }
+    clearSession();
+  }
+
+  async function logout() {
+    if (confirm('Are you sure you want to logout?')) {
+      await endSession();
+      alert('Logged out successfully');
+      window.location.href = LOGIN_PAGE;
+    }
+  }
+
+  window.saveSession = saveSession;
+  window.refreshSession = refreshSession;
+  window.ensureFreshToken = ensureFreshToken;
+  window.authHeaders = authHeaders;
+  window.authFetch = authFetch;
+  window.handleAuthStatus = handleAuthStatus;
+  window.redirectToLogin = redirectToLogin;
+  window.endSession = endSession;
+  window.logout = logout;
+
+  if (script && script.hasAttribute('data-require-login') && !localStorage.getItem('authToken')) {
+    redirectToLogin('Please login to continue');
+  }
+})();
@@ -0,0 +1,175 @@
+// device-profiles.js - Registry of TeamPlus device models
+// Loaded by server.js (require, and served as GET /api/device-profiles) and by the pages
+// (<script src="device-profiles.js">, exposed as window.DeviceProfiles), so both sides
+// agree on what each model is. Adding a model here adds it to the shop, the firmware list
+// and the update page (update.html?device=<id>); no page needs copying.
+//
+// id / name / shortName  URL id, full name (firmware list, admin) and name for headings
+// firmwareDirectory      directory its releases are uploaded to (null = no firmware updates)
+// protocol               how a release reaches the device:
+//   teamplus-ota  flashed over Bluetooth by the update page (see ble below)
+//   package       downloaded and installed with the manufacturer's tool
+//   null          no firmware updates
+// products               what the shop lists for the model: [{ title, image }]
+//
+// image: what a valid firmware image for the model looks like
+//   chip          ESP-IDF chip the image must be built for. null where the model's chip
+//                 isn't recorded yet: then only images carrying one of its projectNames fit.
+//   projectNames  accepted app descriptor project names. An image without a project name
+//                 never fits. Arduino builds embed the generic "arduino-lib-builder" instead
+//                 (esp-image.js GENERIC_PROJECT_NAMES); those only fit where the chip is set
+//                 and matches and the image contains one of the markers.
+//   markers       text only the model's firmware carries, such as the model name it reports
+//                 over Bluetooth; what tells its Arduino builds from any other sketch for
+//                 the same chip. Without markers, Arduino builds are refused.
+//
+// ble: how the update page finds and talks to the device over Bluetooth (null = the model
+// has no BLE OTA and is updated from a downloaded package)
+//   namePrefix       advertised name prefix the device chooser filters on
+//   service          OTA service UUID; the characteristics below must all be in it
+//   characteristics  exact UUIDs of control (commands + notifications), data (image bytes)
+//                    and settings (device info, read to confirm the version after an update)
+//   commands         control commands the firmware accepts (see ota-protocol.js). Without
+//                    STATUS the update runs the older restart-only flow.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DeviceProfiles = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // 16-bit UUIDs on the Bluetooth base UUID, in the form Web Bluetooth reports them
+  const uuid16 = short => `0000${short}-0000-1000-8000-00805f9b34fb`;
+
+  // GATT layout of the TeamPlus OTA firmware
+  const TEAMPLUS_OTA = {
+    service: uuid16('1ff5'),
+    characteristics: { control: uuid16('00fa'), data: uuid16('00fb'), settings: uuid16('0008') },
+    commands: ['enter update mode', 'START', 'END', 'STATUS', 'RESUME']
+  };
+
+  const PROFILES = [
+    {
+      id: 'cangate',
+      name: 'CANGate',
+      shortName: 'CANGate',
+      firmwareDirectory: 'CANGate',
+      protocol: 'package',
+      image: { chip: null, projectNames: ['cangate'] },
+      ble: null,
+      products: [{ title: 'CANGate', image: 'cangate.jpg' }]
+    },
+    {
+      id: 'wheel-turtle-club',
+      name: 'Wheel Turtle Club (Battery Powered Model)',
+      shortName: 'Wheel Turtle Club',
+      firmwareDirectory: 'Wheel-Turtle-Club',
+      protocol: 'teamplus-ota',
+      image: {
+        chip: 'esp32s3',
+        projectNames: ['wheelturtle', 'wheelturtleclub'],
+        // The model name the 3.1 release (wheelturtle.ino.bin) carries
+        markers: ['Team Plus WheelTurtle CLUB']
+      },
+      ble: { namePrefix: 'TPWT', ...TEAMPLUS_OTA },
+      products: [
+        { title: 'Wheel Turtle Club Tyre Temperature', image: 'wheel-turtle-club.jpg' },
+        { title: 'Replacement Wheel Turtle Club Sensor', image: 'replacement-wheel-turtle-club.jpg' }
+      ]
+    },
+    {
+      id: 'wheel-turtle-pro',
+      name: 'Wheel Turtle PRO (Hard Wired Model)',
+      shortName: 'Wheel Turtle PRO',
+      firmwareDirectory: 'Wheel-Turtle-PRO',
+      protocol: 'teamplus-ota',
+      image: { chip: null, projectNames: ['wheelturtlepro'] },
+      ble: { namePrefix: 'TPWP', ...TEAMPLUS_OTA },
+      products: [
+        { title: 'Wheel Turtle Pro Tyre Temperature', image: 'wheel-turtle-pro.jpg' },
+        { title: 'Replacement Wheel Turtle Pro Sensor', image: 'replacement-wheel-turtle-pro.jpg' }
+      ]
+    },
+    {
+      id: 'brake-turtle-pro',
+      name: 'Brake Turtle PRO',
+      shortName: 'Brake Turtle PRO',
+      firmwareDirectory: 'Brake-Turtle-PRO',
+      protocol: 'teamplus-ota',
+      image: { chip: null, projectNames: ['braketurtlepro'] },
+      ble: { namePrefix: 'TPBT', ...TEAMPLUS_OTA },
+      products: [
+        { title: 'Brake Turtle Pro Brake Temperature', image: 'brake-turtle-pro.jpg' },
+        { title: 'Replacement Brake Turtle Pro Sensor', image: 'replacement-brake-turtle-pro.jpg' }
+      ]
+    },
+    {
+      id: 'telelogger',
+      name: 'Telelogger',
+      shortName: 'Telelogger',
+      firmwareDirectory: 'Telelogger',
+      protocol: 'package',
+      image: { chip: null, projectNames: ['telelogger'] },
+      ble: null,
+      products: []
+    },
+    {
+      id: 'external-tpms',
+      name: 'External Track Grade TPMS',
+      shortName: 'External TPMS',
+      firmwareDirectory: null,
+      protocol: null,
+      image: null,
+      ble: null,
+      products: [{ title: 'External Track Grade TPMS', image: 'external-tpms.jpg' }]
+    },
+    {
+      id: 'internal-tpms',
+      name: 'Internal Track Grade TPMS',
+      shortName: 'Internal TPMS',
+      firmwareDirectory: null,
+      protocol: null,
+      image: null,
+      ble: null,
+      products: [{ title: 'Internal Track Grade TPMS', image: 'internal-tpms.jpg' }]
+    }
+  ];
+
+  function findById(id) {
+    return PROFILES.find(profile => profile.id === id) || null;
+  }
+
+  function findByDirectory(directory) {
+    return PROFILES.find(profile => profile.firmwareDirectory && profile.firmwareDirectory === directory) || null;
+  }
+
+  // Models that get firmware through the portal, in registry order
+  function updatable(profiles = PROFILES) {
+    return profiles.filter(profile => profile.firmwareDirectory && profile.protocol);
+  }
+
+  // The registry as the server serves it (GET /api/device-profiles), or this bundled copy
+  // when the server can't be reached
+  async function fetchProfiles(apiBase = '') {
+    try {
+      const response = await fetch(`${apiBase}/api/device-profiles`);
+      const data = await response.json();
+      if (data.ok && Array.isArray(data.profiles)) return data.profiles;
+    } catch (error) {
+      console.warn('Using the bundled device profiles:', error.message);
+    }
+    return PROFILES;
+  }
+
+  // Image rules for a firmware directory; directories without a profile accept
+  // projects named after the directory
+  function imageRulesFor(directory) {
+    const profile = findByDirectory(directory);
+    if (profile) return profile.image;
+    const slug = String(directory).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return { chip: null, projectNames: [slug] };
+  }
+
+  return { PROFILES, findById, findByDirectory, updatable, fetchProfiles, imageRulesFor };
+});
@@ -0,0 +1,92 @@
+// device-settings.js - Decodes the Settings characteristic of TeamPlus BLE devices
+// Loaded by the pages (<script src="device-settings.js">, exposed as window.DeviceSettings)
+// and usable from Node (fake-wheelturtle.js builds its Settings line with it).
+//
+// The characteristic holds one comma-separated record. Only the positions below are known;
+// they are the ones the first update page read (parseConfigLine in wtc-update.html). Every
+// other position is kept, unnamed, in `parts`. Serial number, hardware revision, bootloader
+// and battery are not decoded: naming a position needs records captured from real devices
+// next to what each device showed, and there are none yet.
+//   10  model                e.g. "WheelTurtle CLUB"
+//   12  firmwareVersion
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DeviceSettings = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // index: position in the record. type: 'string' | 'int' | 'enum'; an int with values only
+  // takes those.
+  const FIELDS = [
+    { index: 10, key: 'model', label: 'Model', type: 'string' },
+    { index: 12, key: 'firmwareVersion', label: 'Firmware', type: 'string' }
+  ];
+
+  // Checks one value against its field; returns an error message or null
+  function fieldError(field, value) {
+    const text = String(value ?? '').trim();
+    if (field.type === 'int') {
+      if (!/^-?\d+$/.test(text)) return `${field.label} must be a whole number`;
+      const n = parseInt(text, 10);
+      if (field.min !== undefined && n < field.min) return `${field.label} must be at least ${field.min}`;
+      if (field.max !== undefined && n > field.max) return `${field.label} must be at most ${field.max}`;
+      if (field.values && !field.values.includes(n)) return `${field.label} must be one of ${field.values.join(', ')}`;
+      return null;
+    }
+    if (field.type === 'enum') {
+      return field.values.includes(text) ? null : `${field.label} must be one of ${field.values.join(', ')}`;
+    }
+    if (text.includes(',')) return `${field.label} cannot contain commas`;
+    if (field.maxLength !== undefined && text.length > field.maxLength) return `${field.label} is limited to ${field.maxLength} characters`;
+    if (field.pattern && !field.pattern.test(text)) return `${field.label} contains invalid characters`;
+    return null;
+  }
+
+  function toValue(field, text) {
+    return field.type === 'int' ? parseInt(text, 10) : text;
+  }
+
+  // Decodes one Settings record. Returns { values, errors, parts, raw }: values has a key
+  // per known field (null when missing or invalid), errors lists what didn't decode, and
+  // parts is every position of the record as text.
+  function parseSettings(line, fields = FIELDS) {
+    const raw = String(line || '').replace(/\0+$/, '').trim();
+    const parts = raw ? raw.split(',').map(part => part.trim()) : [];
+
+    const values = {};
+    const errors = [];
+    fields.forEach(field => {
+      const text = parts[field.index];
+      if (text === undefined || text === '') {
+        values[field.key] = null;
+        if (text === undefined) errors.push(`${field.label} missing`);
+        return;
+      }
+      const error = fieldError(field, text);
+      values[field.key] = error ? null : toValue(field, text);
+      if (error) errors.push(error);
+    });
+
+    return { values, errors, parts, raw };
+  }
+
+  // Encodes values into a record (the inverse of parseSettings); unknown positions are empty
+  function formatSettings(values, fields = FIELDS) {
+    const parts = new Array(Math.max(...fields.map(field => field.index + 1))).fill('');
+    for (const field of fields) {
+      const value = values[field.key];
+      parts[field.index] = value === null || value === undefined ? '' : String(value);
+    }
+    return parts.join(',');
+  }
+
+  // "4012 mV" / "80 %" / "WheelTurtle CLUB"; '—' for missing values
+  function displayValue(field, value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return field.unit ? `${value} ${field.unit}` : String(value);
+  }
+
+  return { FIELDS, fieldError, parseSettings, formatSettings, displayValue };
+});
@@ -0,0 +1,163 @@
+// directory-setup.js - Creating and provisioning firmware directories
+// Shared by server.js (POST /api/directories, and uploads into a directory that doesn't
+// exist yet) and `node admin-cli.js devices provision` on the server host, so every
+// directory is set up the same way:
+//   permissions  DIRECTORY_MODE (octal, default 2775: group-writable, and files created
+//                inside keep the directory's group), DIRECTORY_OWNER and DIRECTORY_GROUP
+//                (name or numeric id, optional). POSIX only; on Windows the directory keeps
+//                the ACLs it inherits.
+//   metadata     .metadata.json: { name, description, created, createdBy }
+//   hooks        DIRECTORY_HOOKS, executables separated by the path delimiter (":" or ";").
+//                Each runs without a shell as: <hook> <directory path> <name> <description>.
+//                A .ps1 hook runs through PowerShell.
+// A failed permission change or hook is returned as a warning; the directory is kept.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+
+const METADATA_FILE = '.metadata.json';
+const DEFAULT_MODE = 0o2775;
+const HOOK_TIMEOUT_MS = 30 * 1000;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+function descriptionError(description) {
+  if (description !== undefined && typeof description !== 'string') return 'Description must be text';
+  if (description && description.length > MAX_DESCRIPTION_LENGTH) {
+    return `Description must be ${MAX_DESCRIPTION_LENGTH} characters or fewer`;
+  }
+  return null;
+}
+
+// Provisioning settings from the environment; throws on a malformed DIRECTORY_MODE
+function optionsFromEnv(env = process.env) {
+  let mode = DEFAULT_MODE;
+  if (env.DIRECTORY_MODE) {
+    if (!/^[0-7]{3,4}$/.test(env.DIRECTORY_MODE)) {
+      throw new Error(`DIRECTORY_MODE must be an octal mode like 2775, got ${env.DIRECTORY_MODE}`);
+    }
+    mode = parseInt(env.DIRECTORY_MODE, 8);
+  }
+  return {
+    mode,
+    owner: env.DIRECTORY_OWNER || null,
+    group: env.DIRECTORY_GROUP || null,
+    hooks: String(env.DIRECTORY_HOOKS || '').split(path.delimiter).map(hook => hook.trim()).filter(Boolean)
+  };
+}
+
+/* ---- permissions ---- */
+// A numeric id, or the id of a name in /etc/passwd or /etc/group
+async function resolveId(value, databaseFile) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const lines = (await fs.readFile(databaseFile, 'utf-8')).split('\n');
+  const entry = lines.map(line => line.split(':')).find(fields => fields[0] === value);
+  if (!entry) throw new Error(`no ${value} in ${databaseFile}`);
+  return Number(entry[2]);
+}
+
+async function applyPermissions(dirPath, { mode, owner, group }, warnings) {
+  if (process.platform === 'win32') return;
+
+  try {
+    await fs.chmod(dirPath, mode);
+  } catch (error) {
+    warnings.push(`Could not set mode ${mode.toString(8)}: ${error.message}`);
+  }
+
+  if (!owner && !group) return;
+  try {
+    const uid = owner ? await resolveId(owner, '/etc/passwd') : -1;
+    const gid = group ? await resolveId(group, '/etc/group') : -1;
+    await fs.chown(dirPath, uid, gid);
+  } catch (error) {
+    warnings.push(`Could not set owner ${owner || '-'}:${group || '-'}: ${error.message}`);
+  }
+}
+
+/* ---- metadata ---- */
+async function readMetadata(dirPath) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dirPath, METADATA_FILE), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+    throw error;
+  }
+}
+
+async function writeMetadata(dirPath, metadata) {
+  await fs.writeFile(path.join(dirPath, METADATA_FILE), JSON.stringify(metadata, null, 2));
+}
+
+// Changes fields of an existing metadata file (after a rename); no-op without one
+async function updateMetadata(dirPath, changes) {
+  const metadata = await readMetadata(dirPath);
+  if (!metadata) return null;
+  const updated = { ...metadata, ...changes };
+  await writeMetadata(dirPath, updated);
+  return updated;
+}
+
+/* ---- hooks ---- */
+function runHook(hook, args) {
+  const [file, hookArgs] = hook.toLowerCase().endsWith('.ps1')
+    ? ['powershell.exe', ['-NoProfile', '-ExecutionPolicy', 'Bypass', '-File', hook, ...args]]
+    : [hook, args];
+  return new Promise((resolve, reject) => {
+    execFile(file, hookArgs, { timeout: HOOK_TIMEOUT_MS, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = String(stderr || '').trim().split('\n').pop() || error.message;
+        reject(new Error(error.killed ? `timed out after ${HOOK_TIMEOUT_MS / 1000}s` : detail));
+      } else {
+        resolve(String(stdout).trim());
+      }
+    });
+  });
+}
+
+/* ---- provisioning ---- */
+function createDirectorySetup(options = optionsFromEnv()) {
+  // Sets up an existing directory. info: { name, description, createdBy }.
+  // An existing .metadata.json keeps its creation record; a given description replaces
+  // the old one. Returns { metadata, warnings }.
+  async function provision(dirPath, { name, description, createdBy } = {}) {
+    const warnings = [];
+    await applyPermissions(dirPath, options, warnings);
+
+    const previous = await readMetadata(dirPath);
+    const metadata = {
+      name: name || previous?.name || path.basename(dirPath),
+      description: description !== undefined ? String(description).trim() : (previous?.description || ''),
+      created: previous?.created || new Date().toISOString(),
+      createdBy: previous?.createdBy || createdBy || 'admin'
+    };
+    await writeMetadata(dirPath, metadata);
+
+    for (const hook of options.hooks) {
+      try {
+        await runHook(hook, [dirPath, metadata.name, metadata.description]);
+      } catch (error) {
+        warnings.push(`Hook ${hook} failed: ${error.message}`);
+      }
+    }
+
+    return { metadata, warnings };
+  }
+
+  // Creates and provisions dirPath; fails with EEXIST if it is already there
+  async function create(dirPath, info) {
+    await fs.mkdir(dirPath);
+    return provision(dirPath, info);
+  }
+
+  return { create, provision };
+}
+
+module.exports = {
+  METADATA_FILE,
+  descriptionError,
+  optionsFromEnv,
+  readMetadata,
+  updateMetadata,
+  createDirectorySetup
+};
@@ -0,0 +1,190 @@
+// esp-image.js - Parser/validator for ESP-IDF application images (.bin)
+// Layout (esp_image_format.h / esp_app_format.h):
+//   0   image header (8 bytes)      magic 0xE9, segment count, flash mode/size, entry point
+//   8   extended header (16 bytes)  chip id @12, min chip revision @14, hash appended @23
+//   24  segments                    each: load address (u32), length (u32), data
+//   ..  padding to 16 bytes, last byte is the XOR checksum (seed 0xEF) of segment data
+//   ..  optional SHA-256 (32 bytes) of everything before it
+// The app descriptor (esp_app_desc_t) opens the first segment's data.
+
+const crypto = require('crypto');
+
+const IMAGE_MAGIC = 0xE9;
+const APP_DESC_MAGIC = 0xABCD5432;
+const HEADER_SIZE = 24;
+const SEGMENT_HEADER_SIZE = 8;
+const MAX_SEGMENTS = 16;
+const CHECKSUM_SEED = 0xEF;
+
+const CHIP_IDS = {
+  0x0000: 'esp32',
+  0x0002: 'esp32s2',
+  0x0005: 'esp32c3',
+  0x0009: 'esp32s3',
+  0x000C: 'esp32c2',
+  0x000D: 'esp32c6',
+  0x0010: 'esp32h2',
+  0x0012: 'esp32p4'
+};
+
+// Project names a toolchain embeds whatever the sketch is. They say nothing about the
+// device, so an image carrying one only fits a profile whose chip it matches and whose
+// markers (text only that model's firmware contains) it carries.
+const GENERIC_PROJECT_NAMES = ['arduino-lib-builder'];
+
+const CHIP_NAMES = {
+  esp32: 'ESP32',
+  esp32s2: 'ESP32-S2',
+  esp32c3: 'ESP32-C3',
+  esp32s3: 'ESP32-S3',
+  esp32c2: 'ESP32-C2',
+  esp32c6: 'ESP32-C6',
+  esp32h2: 'ESP32-H2',
+  esp32p4: 'ESP32-P4'
+};
+
+function cString(buffer, start, length) {
+  const slice = buffer.subarray(start, start + length);
+  const end = slice.indexOf(0);
+  return slice.subarray(0, end === -1 ? slice.length : end).toString('utf-8');
+}
+
+function invalid(message) {
+  const error = new Error(`Invalid firmware image: ${message}`);
+  error.code = 'INVALID_IMAGE';
+  return error;
+}
+
+function parseAppDescriptor(buffer, offset) {
+  if (buffer.length < offset + 256 || buffer.readUInt32LE(offset) !== APP_DESC_MAGIC) {
+    return null;
+  }
+  return {
+    secureVersion: buffer.readUInt32LE(offset + 4),
+    version: cString(buffer, offset + 16, 32),
+    projectName: cString(buffer, offset + 48, 32),
+    buildTime: cString(buffer, offset + 80, 16),
+    buildDate: cString(buffer, offset + 96, 16),
+    idfVersion: cString(buffer, offset + 112, 32),
+    elfSha256: buffer.subarray(offset + 144, offset + 176).toString('hex')
+  };
+}
+
+// Parses and verifies an application image. Throws (error.code = 'INVALID_IMAGE')
+// when the image is truncated or corrupt.
+function parseAppImage(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_SIZE) {
+    throw invalid('file is too small to be an ESP32 image');
+  }
+  if (buffer[0] !== IMAGE_MAGIC) {
+    throw invalid(`bad magic byte 0x${buffer[0].toString(16)} (expected 0xe9)`);
+  }
+
+  const segmentCount = buffer[1];
+  if (segmentCount === 0 || segmentCount > MAX_SEGMENTS) {
+    throw invalid(`implausible segment count ${segmentCount}`);
+  }
+
+  const chipId = buffer.readUInt16LE(12);
+  const hashAppended = buffer[23] === 1;
+
+  let offset = HEADER_SIZE;
+  let checksum = CHECKSUM_SEED;
+  const segments = [];
+
+  for (let i = 0; i < segmentCount; i++) {
+    if (offset + SEGMENT_HEADER_SIZE > buffer.length) {
+      throw invalid(`truncated in header of segment ${i}`);
+    }
+    const loadAddress = buffer.readUInt32LE(offset);
+    const length = buffer.readUInt32LE(offset + 4);
+    const dataStart = offset + SEGMENT_HEADER_SIZE;
+    if (dataStart + length > buffer.length) {
+      throw invalid(`truncated in segment ${i} (needs ${dataStart + length} bytes, file has ${buffer.length})`);
+    }
+    for (let j = dataStart; j < dataStart + length; j++) {
+      checksum ^= buffer[j];
+    }
+    segments.push({ loadAddress, length });
+    offset = dataStart + length;
+  }
+
+  // Checksum byte sits at the end of the 16-byte aligned block
+  const checksumOffset = offset + (15 - (offset % 16));
+  if (checksumOffset >= buffer.length) {
+    throw invalid('truncated before checksum');
+  }
+  if (buffer[checksumOffset] !== checksum) {
+    throw invalid('segment checksum mismatch');
+  }
+  let imageLength = checksumOffset + 1;
+
+  let sha256 = null;
+  if (hashAppended) {
+    if (imageLength + 32 > buffer.length) {
+      throw invalid('truncated before appended SHA-256');
+    }
+    sha256 = buffer.subarray(imageLength, imageLength + 32).toString('hex');
+    const actual = crypto.createHash('sha256').update(buffer.subarray(0, imageLength)).digest('hex');
+    if (actual !== sha256) {
+      throw invalid('appended SHA-256 does not match image contents');
+    }
+    imageLength += 32;
+  }
+
+  const chip = CHIP_IDS[chipId] || null;
+
+  return {
+    chip,
+    chipName: CHIP_NAMES[chip] || `unknown chip 0x${chipId.toString(16)}`,
+    chipId,
+    minChipRevision: buffer[14],
+    entryPoint: buffer.readUInt32LE(4),
+    segments,
+    imageLength,
+    hashAppended,
+    sha256,
+    app: parseAppDescriptor(buffer, HEADER_SIZE + SEGMENT_HEADER_SIZE)
+  };
+}
+
+// Checks a parsed image against a device profile's `image` rules. data is the image file,
+// searched for the profile's markers when the project name is a generic one.
+// Returns a list of problems (empty when the image fits).
+function checkImageTarget(image, rules = {}, data = null) {
+  const problems = [];
+
+  if (rules.chip && image.chip !== rules.chip) {
+    problems.push(`image is built for ${image.chipName}, device needs ${CHIP_NAMES[rules.chip] || rules.chip}`);
+  }
+  if (!image.app) {
+    problems.push('image has no application descriptor');
+    return problems;
+  }
+
+  const name = image.app.projectName;
+  const project = name.toLowerCase();
+  const markers = rules.markers || [];
+  if (!project) {
+    problems.push('image has no project name; build with the device\'s project name');
+  } else if (GENERIC_PROJECT_NAMES.includes(project)) {
+    if (!rules.chip || markers.length === 0) {
+      problems.push(`project "${name}" does not identify the device and no chip and markers are configured for it; build with the device's project name`);
+    } else if (!data || !markers.some(marker => data.includes(marker))) {
+      problems.push(`project "${name}" does not identify the device and the image contains none of its markers (${markers.map(marker => JSON.stringify(marker)).join(', ')})`);
+    }
+  } else if (rules.projectNames && rules.projectNames.length > 0 && !rules.projectNames.includes(project)) {
+    problems.push(`project "${name}" is not firmware for this device (expected ${rules.projectNames.join(' or ')})`);
+  }
+
+  return problems;
+}
+
+// Embedded app version, unless it's just the IDF version Arduino builds stamp in
+function embeddedAppVersion(image) {
+  const version = image.app?.version || '';
+  if (!version || /^esp-idf:/i.test(version) || version === image.app.idfVersion) return null;
+  return version;
+}
+
+module.exports = { CHIP_NAMES, GENERIC_PROJECT_NAMES, parseAppImage, checkImageTarget, embeddedAppVersion };
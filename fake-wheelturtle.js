@@ -0,0 +1,296 @@
+// fake-wheelturtle.js - Simulated WheelTurtle for running ota-protocol.js without hardware
+// Implements the device side of the OTA protocol (see ota-protocol.js) behind the same
+// transport interface the page gets from Web Bluetooth.
+//
+// Scenarios:
+//   ok                 accepts the image, answers RESULT,OK, reboots (drops the link) and
+//                      comes back reporting the new version in its Settings
+//   md5-mismatch       one byte arrives corrupted, so END is answered with RESULT,FAIL,MD5 mismatch
+//   disconnect         the link drops halfway; the device keeps what it got and resumes
+//   disconnect-legacy  same drop on older firmware without STATUS/RESUME: restart from 0
+//   link-lost          the link drops halfway and the device never comes back
+//   reload             a previous page session left the device at 40%; it resumes from there
+//   silent             never answers END and never reboots
+//   no-ack             answers STATUS but never acknowledges START (stuck erasing)
+//   wrong-version      accepts the image, but the bootloader falls back to the old one
+//   small-mtu          older firmware on a link with a 185-byte MTU: large writes fail until
+//                      the host steps the chunk size down
+//   no-flow-control    never sends PROGRESS, so the host must drop write-without-response
+//   lost-progress      the PROGRESS notifications from 20 % to 49 % get lost; the host carries on
+//                      with acknowledged writes until PROGRESS resumes
+//
+// test/ota-scenarios.test.js runs every scenario through runScenario() (npm test).
+// Manual run: node fake-wheelturtle.js [firmware.bin] [--scenario=<name>|all]
+// runs the OTA flow against each scenario and exits non-zero if one ends unexpectedly.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const OtaProtocol = require('./ota-protocol');
+const DeviceSettings = require('./device-settings');
+
+const SCENARIOS = ['ok', 'md5-mismatch', 'disconnect', 'disconnect-legacy', 'link-lost', 'reload', 'silent',
+  'small-mtu', 'no-flow-control', 'lost-progress', 'no-ack', 'wrong-version'];
+const DROPPING_SCENARIOS = ['disconnect', 'disconnect-legacy', 'link-lost'];
+
+class FakeWheelTurtle {
+  constructor({ scenario = 'ok', latencyMs = 1, disconnectAtFraction = 0.5, mtu = 247,
+    firmwareVersion = '1.0.0', imageVersion = null } = {}) {
+    if (!SCENARIOS.includes(scenario)) throw new Error(`Unknown scenario "${scenario}"`);
+    this.scenario = scenario;
+    this.latencyMs = latencyMs;
+    this.disconnectAtFraction = disconnectAtFraction;
+    this.supportsResume = !['disconnect-legacy', 'small-mtu'].includes(scenario);
+    this.mtu = scenario === 'small-mtu' ? 185 : mtu;
+    this.sendsProgress = scenario !== 'no-flow-control';
+    this.sendsAcks = this.supportsResume;        // firmware with STATUS also acknowledges commands
+    this.model = 'WheelTurtle CLUB';
+    this.firmwareVersion = firmwareVersion;
+    this.imageVersion = imageVersion;            // version embedded in the image being flashed
+    this.booting = false;
+    this.reconnectable = scenario !== 'link-lost';
+    this.dropped = false;
+    this.connected = true;
+    this.mode = 'normal';          // normal → update → receiving → done
+    this.expected = null;          // { size, md5 } from START
+    this.received = [];
+    this.receivedBytes = 0;
+    this.lastPercent = -1;
+    this.commands = [];
+    this.flashed = null;           // the image it answered RESULT,OK for
+    this.writes = { withResponse: 0, withoutResponse: 0, rejected: 0 };
+    this.messageListeners = new Set();
+    this.disconnectListeners = new Set();
+  }
+
+  notify(text) {
+    setTimeout(() => {
+      if (this.connected) this.messageListeners.forEach(listener => listener(text));
+    }, this.latencyMs);
+  }
+
+  // Firmware with resume support keeps a partial transfer across a dropped link
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    if (!this.supportsResume || this.mode !== 'receiving') {
+      this.mode = 'normal';
+      this.received = [];
+      this.receivedBytes = 0;
+    }
+    setTimeout(() => this.disconnectListeners.forEach(listener => listener()), this.latencyMs);
+  }
+
+  async reconnect() {
+    await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    if (!this.reconnectable || this.booting) throw new Error('Connection attempt failed.');
+    this.connected = true;
+  }
+
+  // Drops the link and is unreachable for a moment while the new image boots
+  reboot() {
+    this.booting = true;
+    this.disconnect();
+    setTimeout(() => {
+      this.booting = false;
+      if (this.scenario !== 'wrong-version' && this.imageVersion) this.firmwareVersion = this.imageVersion;
+    }, this.latencyMs * 20);
+  }
+
+  // The Settings characteristic: only the positions device-settings.js knows are filled
+  settingsLine() {
+    return DeviceSettings.formatSettings({ model: this.model, firmwareVersion: this.firmwareVersion });
+  }
+
+  // State a previous session would have left behind: the first fraction of firmware received
+  preload(firmware, fraction) {
+    const bytes = Math.floor(firmware.length * fraction);
+    this.mode = 'receiving';
+    this.expected = { size: firmware.length, md5: crypto.createHash('md5').update(firmware).digest('hex') };
+    this.received = [Buffer.from(firmware.subarray(0, bytes))];
+    this.receivedBytes = bytes;
+    this.lastPercent = Math.floor(fraction * 100);
+  }
+
+  async handleControl(text) {
+    if (!this.connected) throw new Error('GATT Server is disconnected.');
+    this.commands.push(text);
+
+    if (text === 'enter update mode') {
+      this.mode = 'update';
+      if (this.sendsAcks) this.notify('ACK,UPDATE');
+      return;
+    }
+
+    // Older firmware silently ignores the resume extension
+    if (text === 'STATUS' && this.supportsResume) {
+      const state = this.mode === 'receiving' ? 'receiving' : this.mode === 'done' ? 'done' : 'idle';
+      return this.notify(`STATUS,state=${state},offset=${this.receivedBytes},size=${this.expected ? this.expected.size : 0},md5=${this.expected ? this.expected.md5 : ''},mtu=${this.mtu}`);
+    }
+
+    const resume = text.match(/^RESUME,offset=(\d+)$/);
+    if (resume && this.supportsResume) {
+      const offset = parseInt(resume[1], 10);
+      if (this.mode !== 'receiving' || offset > this.receivedBytes) {
+        return this.notify('RESUME,FAIL,bad offset');
+      }
+      this.received = [Buffer.concat(this.received).subarray(0, offset)];
+      this.receivedBytes = offset;
+      return this.notify(`RESUME,OK,offset=${offset}`);
+    }
+
+    const start = text.match(/^START,size=(\d+),md5=([0-9a-f]{32})$/i);
+    if (start) {
+      if (this.mode !== 'update') return this.notify('RESULT,FAIL,not in update mode');
+      this.expected = { size: parseInt(start[1], 10), md5: start[2].toLowerCase() };
+      this.received = [];
+      this.receivedBytes = 0;
+      this.lastPercent = -1;
+      this.mode = 'receiving';
+      if (this.sendsAcks && this.scenario !== 'no-ack') this.notify('ACK,START');
+      return;
+    }
+
+    if (text === 'END') {
+      if (this.mode !== 'receiving') return this.notify('RESULT,FAIL,no transfer in progress');
+      this.mode = 'done';
+      const image = Buffer.concat(this.received);
+      const md5 = crypto.createHash('md5').update(image).digest('hex');
+
+      if (this.scenario === 'silent') return;
+      if (image.length !== this.expected.size) {
+        return this.notify(`RESULT,FAIL,size mismatch (${image.length}/${this.expected.size})`);
+      }
+      if (md5 !== this.expected.md5) {
+        return this.notify('RESULT,FAIL,MD5 mismatch');
+      }
+      this.flashed = image;
+      this.notify('RESULT,OK');
+      setTimeout(() => this.reboot(), this.latencyMs * 5);
+    }
+  }
+
+  async handleData(bytes, withResponse = true) {
+    if (!this.connected) throw new Error('GATT Server is disconnected.');
+    if (this.mode !== 'receiving') throw new Error('GATT operation failed: not receiving');
+    if (bytes.length > this.mtu - 3) {
+      this.writes.rejected++;
+      throw new Error('GATT operation failed: value too long for MTU');
+    }
+    this.writes[withResponse ? 'withResponse' : 'withoutResponse']++;
+
+    const chunk = Buffer.from(bytes);
+    if (this.scenario === 'md5-mismatch' && this.receivedBytes === 0) {
+      chunk[0] ^= 0xff;
+    }
+    this.received.push(chunk);
+    this.receivedBytes += chunk.length;
+
+    const percent = Math.floor(this.receivedBytes * 100 / this.expected.size);
+    if (this.sendsProgress && (percent >= this.lastPercent + 10 || percent === 100)) {
+      this.lastPercent = percent;
+      const lost = this.scenario === 'lost-progress' && percent >= 20 && percent < 50;
+      if (!lost) this.notify(`PROGRESS,${percent},offset=${this.receivedBytes}`);
+    }
+
+    if (DROPPING_SCENARIOS.includes(this.scenario) && !this.dropped &&
+        this.receivedBytes >= this.expected.size * this.disconnectAtFraction) {
+      this.dropped = true;
+      this.disconnect();
+    }
+  }
+
+  // The transport interface performOtaUpdate() expects
+  transport() {
+    const subscribe = (set, listener) => {
+      set.add(listener);
+      return () => set.delete(listener);
+    };
+    return {
+      isConnected: () => this.connected,
+      writeControl: text => this.handleControl(text),
+      // An acknowledged write takes a round trip; a write command is queued at once
+      writeData: async bytes => {
+        await this.handleData(bytes);
+        await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+      },
+      writeDataWithoutResponse: bytes => this.handleData(bytes, false),
+      onControlMessage: listener => subscribe(this.messageListeners, listener),
+      onDisconnect: listener => subscribe(this.disconnectListeners, listener),
+      readSettings: async () => {
+        if (!this.connected) throw new Error('GATT Server is disconnected.');
+        return this.settingsLine();
+      },
+      reconnect: () => this.reconnect()
+    };
+  }
+}
+
+/* ---------------- simulation ---------------- */
+const FAST_TIMINGS = { enterDelayMs: 5, startDelayMs: 5, resultTimeoutMs: 300, statusTimeoutMs: 50, reconnectDelayMs: 5,
+  ackTimeoutMs: 50, modeTimeoutMs: 100, startTimeoutMs: 100, rebootTimeoutMs: 500 };
+const IMAGE_VERSION = '3.1.0';
+
+// What each scenario should end in: a result or an OtaError code
+const EXPECTED = {
+  ok: 'confirmed',
+  'md5-mismatch': 'DEVICE_REJECTED',
+  disconnect: 'confirmed',
+  'disconnect-legacy': 'confirmed',
+  'link-lost': 'DISCONNECTED',
+  reload: 'confirmed',
+  silent: 'TIMEOUT',
+  'small-mtu': 'confirmed',
+  'no-flow-control': 'confirmed',
+  'lost-progress': 'confirmed',
+  'no-ack': 'TIMEOUT',
+  'wrong-version': 'VERSION_MISMATCH'
+};
+
+async function runScenario(scenario, firmware, options = {}) {
+  const device = new FakeWheelTurtle({ scenario, imageVersion: IMAGE_VERSION });
+  if (scenario === 'reload') device.preload(firmware, 0.4);
+  const md5 = crypto.createHash('md5').update(firmware).digest('hex');
+  try {
+    const result = await OtaProtocol.performOtaUpdate(device.transport(), firmware, {
+      md5,
+      expectedVersion: IMAGE_VERSION,
+      readVersion: async transport => DeviceSettings.parseSettings(await transport.readSettings()).values.firmwareVersion,
+      ...FAST_TIMINGS,
+      ...options
+    });
+    return { outcome: result.state, stats: result.stats, device };
+  } catch (error) {
+    return { outcome: error.code || 'ERROR', error, device };
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const scenarioArg = (args.find(arg => arg.startsWith('--scenario=')) || '--scenario=all').split('=')[1];
+  const file = args.find(arg => !arg.startsWith('--'));
+  const firmware = file ? fs.readFileSync(file) : crypto.randomBytes(64 * 1024);
+  const scenarios = scenarioArg === 'all' ? SCENARIOS : [scenarioArg];
+
+  console.log(`Firmware: ${file || 'random test image'} (${firmware.length} bytes)`);
+  let failures = 0;
+  for (const scenario of scenarios) {
+    const { outcome, error, stats, device } = await runScenario(scenario, firmware);
+    const expected = EXPECTED[scenario];
+    const matches = outcome === expected;
+    if (!matches) failures++;
+    console.log(`${matches ? '✓' : '❌'} ${scenario}: ${outcome}${error ? ` (${error.message})` : ''}` +
+      ` - device runs ${device.firmwareVersion}, holds ${device.receivedBytes} bytes, commands: ${device.commands.map(c => c.split(',')[0]).join(' → ')}` +
+      (stats ? `, ${stats.chunkSize}-byte ${stats.writeMode} writes` : '') +
+      (matches ? '' : ` [expected ${expected}]`));
+  }
+  process.exit(failures ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { SCENARIOS, EXPECTED, IMAGE_VERSION, FAST_TIMINGS, FakeWheelTurtle, runScenario };
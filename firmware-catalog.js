@@ -0,0 +1,169 @@
+// firmware-catalog.js - Builds firmware release listings from public/firmware/<device>/
+// Each .bin file is a release. Its version, channel, notes, target model, minimum
+// bootloader/hardware revision, rollout and signature come from the sidecar record
+// .meta/<filename>.json written on upload; without one the version is read from the
+// filename and the release is treated as stable (and unsigned).
+// Channels: draft (admins only), beta, stable. Who a release is offered to is decided
+// in firmware-rollout.js.
+
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { parseVersion, isValidVersion, compareVersions } = require('./firmware-versions');
+
+const META_DIR = '.meta';
+const CHANNELS = ['stable', 'beta', 'draft'];
+const DEFAULT_CHANNEL = 'stable';
+
+/* ---------------- checksums ---------------- */
+// Hashing a 1-2 MB image on every manifest request adds up; cache by size + mtime
+const checksumCache = new Map();
+
+async function fileChecksums(filePath) {
+  const stats = await fsPromises.stat(filePath);
+  const cached = checksumCache.get(filePath);
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return cached.checksums;
+  }
+
+  const sha256 = crypto.createHash('sha256');
+  const md5 = crypto.createHash('md5');
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(filePath)
+      .on('data', chunk => { sha256.update(chunk); md5.update(chunk); })
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  const checksums = { sha256: sha256.digest('hex'), md5: md5.digest('hex') };
+  checksumCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, checksums });
+  return checksums;
+}
+
+/* ---------------- sidecar metadata ---------------- */
+function metaPath(dirPath, filename) {
+  return path.join(dirPath, META_DIR, `${filename}.json`);
+}
+
+async function readReleaseMeta(dirPath, filename) {
+  try {
+    return JSON.parse(await fsPromises.readFile(metaPath(dirPath, filename), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Unreadable release metadata for ${filename}:`, error.message);
+    return {};
+  }
+}
+
+async function writeReleaseMeta(dirPath, filename, meta) {
+  await fsPromises.mkdir(path.join(dirPath, META_DIR), { recursive: true });
+  await fsPromises.writeFile(metaPath(dirPath, filename), JSON.stringify(meta, null, 2));
+}
+
+async function renameReleaseMeta(dirPath, oldName, newName) {
+  try {
+    await fsPromises.rename(metaPath(dirPath, oldName), metaPath(dirPath, newName));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+async function deleteReleaseMeta(dirPath, filename) {
+  await fsPromises.rm(metaPath(dirPath, filename), { force: true });
+}
+
+/* ---------------- releases ---------------- */
+async function describeRelease(dirPath, device, filename) {
+  const filePath = path.join(dirPath, filename);
+  const [stats, checksums, meta] = await Promise.all([
+    fsPromises.stat(filePath),
+    fileChecksums(filePath),
+    readReleaseMeta(dirPath, filename)
+  ]);
+
+  return {
+    device,
+    filename,
+    version: meta.version || parseVersion(filename),
+    channel: CHANNELS.includes(meta.channel) ? meta.channel : DEFAULT_CHANNEL,
+    notes: meta.notes || '',
+    rollout: meta.rollout || { percentage: 100, allowList: [] },
+    model: meta.model || device,
+    image: meta.image || null,
+    uploadedBy: meta.uploadedBy || null,
+    uploadedAt: meta.uploadedAt || null,
+    signature: meta.signature || null,
+    sizeBytes: stats.size,
+    sha256: checksums.sha256,
+    md5: checksums.md5,
+    modified: stats.mtime,
+    path: `/firmware/${encodeURIComponent(device)}/${encodeURIComponent(filename)}`
+  };
+}
+
+// All releases of one device directory, newest version first
+async function listReleases(firmwareDir, device) {
+  const dirPath = path.join(firmwareDir, device);
+  let entries;
+  try {
+    entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const releases = await Promise.all(
+    entries
+      .filter(entry => entry.isFile() && entry.name.endsWith('.bin'))
+      .map(entry => describeRelease(dirPath, device, entry.name))
+  );
+
+  return releases.sort((a, b) => compareVersions(b.version, a.version) || b.modified - a.modified);
+}
+
+// Newest release visible on a channel; beta subscribers also get newer stable releases
+function latestRelease(releases, channel = DEFAULT_CHANNEL) {
+  const allowed = channel === 'beta' ? ['stable', 'beta'] : ['stable'];
+  return releases
+    .filter(release => allowed.includes(release.channel) && isValidVersion(release.version))
+    .sort((a, b) => compareVersions(b.version, a.version))[0] || null;
+}
+
+async function buildManifest(firmwareDir) {
+  const entries = await fsPromises.readdir(firmwareDir, { withFileTypes: true });
+  const devices = entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name)
+    .sort();
+
+  const packages = [];
+  for (const device of devices) {
+    const releases = await listReleases(firmwareDir, device);
+    packages.push({
+      device,
+      latest: Object.fromEntries(['stable', 'beta'].map(channel => [channel, latestRelease(releases, channel)?.version || null])),
+      releases
+    });
+  }
+
+  return { updatedAt: new Date().toISOString(), devices: packages };
+}
+
+module.exports = {
+  META_DIR,
+  CHANNELS,
+  DEFAULT_CHANNEL,
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+  fileChecksums,
+  metaPath,
+  readReleaseMeta,
+  writeReleaseMeta,
+  renameReleaseMeta,
+  deleteReleaseMeta,
+  describeRelease,
+  listReleases,
+  latestRelease,
+  buildManifest
+};
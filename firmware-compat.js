@@ -0,0 +1,63 @@
+// firmware-compat.js - Whether a firmware release may be flashed onto a connected device
+// Used by the update page (<script src="firmware-compat.js">, exposed as
+// window.FirmwareCompat) and by server.js when an override is redeemed.
+//
+// Rules, from the release metadata set on upload (and signed, see firmware-signing.js):
+//   model  the device must report the same model. Compared ignoring case, spaces and
+//          punctuation, so "Wheel-Turtle-Club" (the default, the firmware directory)
+//          matches "WheelTurtle CLUB" from Settings.
+// There are no hardware revision or bootloader minimums: devices don't report either
+// (device-settings.js), so such a rule could only ever block.
+// A release outside the rules can only be flashed with an admin-granted override.
+// Installing an older version than the device runs is allowed but is a downgrade the
+// user must confirm explicitly.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./firmware-versions'));
+  } else {
+    root.FirmwareCompat = factory(root.FirmwareVersions);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FirmwareVersions) {
+  function modelKey(model) {
+    return String(model || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // device: { model, firmwareVersion } from the device's Settings (device-settings.js);
+  // a missing model fails the model rule.
+  // Returns { compatible, problems, downgrade, reinstall }. problems are readable reasons
+  // the release breaks the rules; downgrade/reinstall compare versions only.
+  function checkCompatibility(release, device) {
+    const problems = [];
+
+    if (release.model) {
+      if (!device.model) {
+        problems.push(`the device did not report its model (release is for ${release.model})`);
+      } else if (modelKey(release.model) !== modelKey(device.model)) {
+        problems.push(`release is for ${release.model}, device is a ${device.model}`);
+      }
+    }
+
+    const current = FirmwareVersions.parseVersion(device.firmwareVersion);
+    const order = current && FirmwareVersions.isValidVersion(release.version)
+      ? FirmwareVersions.compareVersions(release.version, current)
+      : null;
+
+    return {
+      compatible: problems.length === 0,
+      problems,
+      downgrade: order !== null && order < 0,
+      reinstall: order === 0
+    };
+  }
+
+  // Whether an override (see server.js) lets this user flash release: unused, not
+  // expired, and - when it names one - the same file
+  function overrideCovers(override, release, now = Date.now()) {
+    if (!override || override.usedAt || (override.expiresAt && override.expiresAt <= now)) return false;
+    if (override.filename && override.filename !== release.filename) return false;
+    return true;
+  }
+
+  return { modelKey, checkCompatibility, overrideCovers };
+});
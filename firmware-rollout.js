@@ -0,0 +1,109 @@
+// firmware-rollout.js - Who gets which firmware release
+// A release's sidecar may carry a rollout: { percentage, allowList }.
+//   percentage  share of users (0-100) the release is offered to. Each user falls in a
+//               fixed bucket per release, so raising the percentage only ever adds users.
+//   allowList   emails that get the release regardless of percentage (testers)
+// Draft releases are only visible to admins. A device model can have a pinned "current"
+// release (kept in the store, see server.js); while pinned it is what everyone is offered,
+// which is also how a rollback is done.
+
+const crypto = require('crypto');
+const catalog = require('./firmware-catalog');
+
+const DEFAULT_ROLLOUT = { percentage: 100, allowList: [] };
+const MAX_ALLOW_LIST = 500;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeRollout(rollout) {
+  return {
+    percentage: Number.isInteger(rollout?.percentage) ? rollout.percentage : DEFAULT_ROLLOUT.percentage,
+    allowList: Array.isArray(rollout?.allowList) ? rollout.allowList : []
+  };
+}
+
+// Validates rollout fields from a form or JSON body. allowList may be an array or a
+// comma/newline separated string. Returns { error } or { rollout }.
+function parseRollout({ percentage, allowList } = {}) {
+  const pct = percentage === undefined || percentage === null || percentage === ''
+    ? DEFAULT_ROLLOUT.percentage
+    : Number(percentage);
+  if (!Number.isInteger(pct) || pct < 0 || pct > 100) {
+    return { error: 'Rollout percentage must be a whole number from 0 to 100' };
+  }
+
+  const emails = (Array.isArray(allowList) ? allowList : String(allowList || '').split(/[\s,;]+/))
+    .map(email => String(email).trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = emails.find(email => !EMAIL_RE.test(email));
+  if (invalid) {
+    return { error: `Invalid email in allow-list: ${invalid}` };
+  }
+  if (emails.length > MAX_ALLOW_LIST) {
+    return { error: `Allow-list is limited to ${MAX_ALLOW_LIST} emails` };
+  }
+
+  return { rollout: { percentage: pct, allowList: [...new Set(emails)] } };
+}
+
+// 0-99, stable for a given user and release
+function rolloutBucket(release, email) {
+  const digest = crypto.createHash('sha256')
+    .update(`${release.device}/${release.filename}:${String(email).toLowerCase()}`)
+    .digest();
+  return digest.readUInt32BE(0) % 100;
+}
+
+function isAllowListed(release, email) {
+  return normalizeRollout(release.rollout).allowList.includes(String(email).toLowerCase());
+}
+
+// Whether the rollout has reached this user (channel aside)
+function isInRollout(release, email) {
+  const rollout = normalizeRollout(release.rollout);
+  return isAllowListed(release, email) || rolloutBucket(release, email) < rollout.percentage;
+}
+
+// Whether a release shows up for this user at all. Admins see everything.
+function isVisibleTo(release, user, pin) {
+  if (user.role === 'admin') return true;
+  if (release.channel === 'draft') return false;
+  return (pin && pin.filename === release.filename) || isInRollout(release, user.email);
+}
+
+// The release a user should install. Returns { release, reason } where reason is
+// 'pinned', 'allow-list', 'rollout' or 'latest'; release is null when nothing applies.
+function recommendRelease(releases, user, { channel = catalog.DEFAULT_CHANNEL, pin = null } = {}) {
+  const pinned = pin && releases.find(release => release.filename === pin.filename && release.channel !== 'draft');
+  if (pinned) return { release: pinned, reason: 'pinned' };
+
+  const channels = channel === 'beta' ? ['stable', 'beta'] : ['stable'];
+  const candidate = releases
+    .filter(release => release.channel !== 'draft' && catalog.isValidVersion(release.version))
+    .filter(release => channels.includes(release.channel) || isAllowListed(release, user.email))
+    .filter(release => isInRollout(release, user.email))
+    .sort((a, b) => catalog.compareVersions(b.version, a.version))[0];
+
+  if (!candidate) return { release: null, reason: null };
+
+  const reason = isAllowListed(candidate, user.email) ? 'allow-list'
+    : normalizeRollout(candidate.rollout).percentage < 100 ? 'rollout'
+    : 'latest';
+  return { release: candidate, reason };
+}
+
+// Strips what only admins should see (other users' emails) from a release record
+function releaseForUser(release, user) {
+  if (!release || user.role === 'admin') return release;
+  return { ...release, rollout: { percentage: normalizeRollout(release.rollout).percentage } };
+}
+
+module.exports = {
+  DEFAULT_ROLLOUT,
+  normalizeRollout,
+  parseRollout,
+  rolloutBucket,
+  isInRollout,
+  isVisibleTo,
+  recommendRelease,
+  releaseForUser
+};
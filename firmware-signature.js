@@ -0,0 +1,88 @@
+// firmware-signature.js - Verifies a downloaded firmware image before it is flashed
+// Loaded by the update pages (<script src="firmware-signature.js">, exposed as
+// window.FirmwareSignature) and usable from Node 20+, which has the same WebCrypto API.
+// The server signs each release on upload (firmware-signing.js); an image is only
+// trusted when the signature verifies against a published key AND the downloaded
+// bytes match the signed size and SHA-256. The release record's compatibility rules must
+// also be the signed ones: the page gates on them (firmware-compat.js), and the listing
+// they come from is not signed.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FirmwareSignature = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  // Release fields the compatibility gate reads; signed by firmware-signing.js
+  const RULE_FIELDS = ['version', 'model'];
+
+  function base64ToBytes(value) {
+    const binary = atob(String(value));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function sha256Hex(data) {
+    return toHex(await subtle.digest('SHA-256', data));
+  }
+
+  // keys: the list from GET /api/firmware/signing-key.
+  // release: the release record (device, filename, signature) the image was downloaded for.
+  // Resolves with the signed statement; rejects with a readable reason otherwise.
+  async function verifyFirmware(data, release, keys) {
+    if (!subtle) {
+      throw new Error('This browser cannot verify firmware signatures (WebCrypto unavailable)');
+    }
+
+    const signature = release && release.signature;
+    if (!signature) {
+      throw new Error('Firmware is not signed');
+    }
+    if (signature.algorithm !== 'Ed25519') {
+      throw new Error(`Unsupported signature algorithm ${signature.algorithm}`);
+    }
+
+    const key = (keys || []).find(k => k.keyId === signature.keyId);
+    if (!key) {
+      throw new Error(`Firmware is signed with an unknown key (${signature.keyId})`);
+    }
+
+    let valid = false;
+    try {
+      const publicKey = await subtle.importKey('raw', base64ToBytes(key.publicKey), { name: 'Ed25519' }, false, ['verify']);
+      valid = await subtle.verify({ name: 'Ed25519' }, publicKey, base64ToBytes(signature.value),
+        new TextEncoder().encode(signature.payload));
+    } catch (error) {
+      throw new Error(`Could not check firmware signature: ${error.message || error}`);
+    }
+    if (!valid) {
+      throw new Error('Firmware signature is invalid');
+    }
+
+    const statement = JSON.parse(signature.payload);
+    if (statement.device !== release.device || statement.filename !== release.filename) {
+      throw new Error(`Signature is for ${statement.device}/${statement.filename}, not ${release.device}/${release.filename}`);
+    }
+    const altered = RULE_FIELDS.filter(field => (statement[field] ?? null) !== (release[field] ?? null));
+    if (altered.length) {
+      throw new Error(`Release ${altered.join(', ')} ${altered.length > 1 ? 'do' : 'does'} not match the signature`);
+    }
+    if (statement.sizeBytes !== data.byteLength) {
+      throw new Error(`Downloaded ${data.byteLength} bytes, signed image is ${statement.sizeBytes} bytes`);
+    }
+    if (await sha256Hex(data) !== statement.sha256) {
+      throw new Error('Downloaded firmware does not match the signed SHA-256');
+    }
+
+    return statement;
+  }
+
+  return { verifyFirmware, sha256Hex };
+});
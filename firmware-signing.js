@@ -0,0 +1,82 @@
+// firmware-signing.js - Ed25519 signatures for published firmware
+// Every upload gets a signed statement: a JSON payload naming the release (device,
+// filename, version, target model, size and SHA-256 of the image) signed as UTF-8 bytes.
+// The update page verifies it with the published public key and then checks the
+// downloaded bytes against the payload before flashing (see firmware-signature.js). Channel and notes are not signed so a release can be
+// promoted without re-signing.
+//
+// Key: FIRMWARE_SIGNING_KEY (PKCS#8 PEM, "\n" escapes allowed) or FIRMWARE_SIGNING_KEY_FILE.
+// Without either, a key is generated into generatedKeyFile on first start (development only).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ALGORITHM = 'Ed25519';
+const PAYLOAD_VERSION = 1;
+const SIGNED_FIELDS = ['device', 'filename', 'version', 'model', 'sizeBytes', 'sha256'];
+
+function loadPrivateKey({ key, keyFile, generatedKeyFile }) {
+  if (key) return crypto.createPrivateKey(key.replace(/\\n/g, '\n'));
+  if (keyFile) return crypto.createPrivateKey(fs.readFileSync(keyFile, 'utf-8'));
+
+  if (fs.existsSync(generatedKeyFile)) {
+    return crypto.createPrivateKey(fs.readFileSync(generatedKeyFile, 'utf-8'));
+  }
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  fs.mkdirSync(path.dirname(generatedKeyFile), { recursive: true });
+  fs.writeFileSync(generatedKeyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  console.warn(`⚠ No FIRMWARE_SIGNING_KEY set - generated a development key in ${generatedKeyFile}`);
+  return privateKey;
+}
+
+function createSigner(options) {
+  const privateKey = loadPrivateKey(options);
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('Firmware signing key must be an Ed25519 private key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const rawPublicKey = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+  const keyId = crypto.createHash('sha256').update(rawPublicKey).digest('hex').slice(0, 16);
+
+  // What GET /api/firmware/signing-key publishes
+  function publicKeys() {
+    return [{
+      keyId,
+      algorithm: ALGORITHM,
+      publicKey: rawPublicKey.toString('base64'),
+      pem: publicKey.export({ type: 'spki', format: 'pem' })
+    }];
+  }
+
+  function sign(fields) {
+    const statement = { v: PAYLOAD_VERSION };
+    for (const field of SIGNED_FIELDS) statement[field] = fields[field] ?? null;
+    statement.signedAt = new Date().toISOString();
+
+    const payload = JSON.stringify(statement);
+    return {
+      algorithm: ALGORITHM,
+      keyId,
+      payload,
+      value: crypto.sign(null, Buffer.from(payload, 'utf-8'), privateKey).toString('base64')
+    };
+  }
+
+  // Returns the signed statement, or null when the signature isn't ours or doesn't verify
+  function verify(signature) {
+    if (!signature || signature.keyId !== keyId || typeof signature.payload !== 'string') return null;
+    try {
+      const valid = crypto.verify(null, Buffer.from(signature.payload, 'utf-8'), publicKey,
+        Buffer.from(String(signature.value), 'base64'));
+      return valid ? JSON.parse(signature.payload) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return { keyId, publicKeys, sign, verify };
+}
+
+module.exports = { ALGORITHM, SIGNED_FIELDS, createSigner };
@@ -0,0 +1,58 @@
+// firmware-versions.js - Semantic version parsing and ordering for firmware releases
+// Used by firmware-catalog.js on the server and by the update page
+// (<script src="firmware-versions.js">, exposed as window.FirmwareVersions), so both
+// order releases the same way.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FirmwareVersions = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SEMVER_RE = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?$/;
+
+  // Normalizes "v3.1", "3.1.0", "wheelturtle-3.1.2-beta.1.bin" to a semantic version
+  function parseVersion(value) {
+    const match = String(value || '').match(/v?(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9A-Za-z][0-9A-Za-z.]*))?/i);
+    if (!match) return null;
+    const [, major, minor, patch = '0', pre] = match;
+    const pretag = pre ? pre.replace(/\.bin$/i, '') : '';
+    return `${+major}.${+minor}.${+patch}${pretag ? `-${pretag}` : ''}`;
+  }
+
+  function isValidVersion(value) {
+    return SEMVER_RE.test(String(value || ''));
+  }
+
+  function comparePrerelease(a, b) {
+    if (a === b) return 0;
+    if (!a) return 1;   // 1.0.0 > 1.0.0-beta
+    if (!b) return -1;
+    const pa = a.split('.');
+    const pb = b.split('.');
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      if (pa[i] === undefined) return -1;
+      if (pb[i] === undefined) return 1;
+      const na = /^\d+$/.test(pa[i]);
+      const nb = /^\d+$/.test(pb[i]);
+      if (na && nb && +pa[i] !== +pb[i]) return +pa[i] - +pb[i];
+      if (na !== nb) return na ? -1 : 1;
+      if (pa[i] !== pb[i]) return pa[i] < pb[i] ? -1 : 1;
+    }
+    return 0;
+  }
+
+  // Semver ordering; unparseable versions sort before everything else
+  function compareVersions(a, b) {
+    const ma = String(a || '').match(SEMVER_RE);
+    const mb = String(b || '').match(SEMVER_RE);
+    if (!ma || !mb) return (ma ? 1 : 0) - (mb ? 1 : 0);
+    for (let i = 1; i <= 3; i++) {
+      if (+ma[i] !== +mb[i]) return +ma[i] - +mb[i];
+    }
+    return comparePrerelease(ma[4], mb[4]);
+  }
+
+  return { SEMVER_RE, parseVersion, isValidVersion, compareVersions };
+});
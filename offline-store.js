@@ -0,0 +1,121 @@
+// offline-store.js - What the update page keeps on the device for working without a connection
+// Include with: <script src="offline-store.js"></script> (exposed as window.OfflineStore)
+//   releases       firmware images saved for offline use. The bytes live in Cache Storage,
+//                  the release records (version, signature, compatibility rules) in
+//                  localStorage, so the page can list, check and verify them offline.
+//   signing keys   the last key list from /api/firmware/signing-key; cached images are
+//                  still signature-checked before flashing
+//   pending reports update-history records (POST /api/updates) that could not be sent;
+//                  the page re-sends them when the connection returns. Reports carry their
+//                  own id, so a record that did arrive the first time is not duplicated.
+
+(function () {
+  const FIRMWARE_CACHE = 'teamplus-firmware-v1';
+  const INDEX_KEY = 'offlineReleases';
+  const KEYS_KEY = 'offlineSigningKeys';
+  const REPORTS_KEY = 'pendingUpdateReports';
+  const MAX_PENDING_REPORTS = 200;
+
+  function readJson(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function writeJson(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  function isSupported() {
+    return typeof caches !== 'undefined';
+  }
+
+  // Cache Storage wants a URL; this one is never fetched
+  function cacheUrl(directory, filename) {
+    return new URL(`offline-firmware/${encodeURIComponent(directory)}/${encodeURIComponent(filename)}`, location.href).href;
+  }
+
+  /* ---- releases ---- */
+  // Saved releases of a firmware directory: [{ file, cachedAt, size }], newest first
+  function listReleases(directory) {
+    const index = readJson(INDEX_KEY, {});
+    return Object.values(index[directory] || {}).sort((a, b) => b.cachedAt.localeCompare(a.cachedAt));
+  }
+
+  function hasRelease(directory, filename) {
+    return !!readJson(INDEX_KEY, {})[directory]?.[filename];
+  }
+
+  // file: the release as listed by /api/files (its record and signature are kept with it).
+  // data: the image bytes, already signature-checked by the caller.
+  async function saveRelease(directory, file, data) {
+    if (!isSupported()) throw new Error('This browser cannot keep firmware for offline use');
+    const cache = await caches.open(FIRMWARE_CACHE);
+    await cache.put(cacheUrl(directory, file.name), new Response(data, {
+      headers: { 'Content-Type': 'application/octet-stream', 'Content-Length': String(data.length) }
+    }));
+    const index = readJson(INDEX_KEY, {});
+    index[directory] = index[directory] || {};
+    index[directory][file.name] = { file, cachedAt: new Date().toISOString(), size: data.length };
+    writeJson(INDEX_KEY, index);
+  }
+
+  // The saved image for file, or null. A copy saved for a different signature (the
+  // release was replaced on the server since) doesn't count.
+  async function loadRelease(directory, file) {
+    const entry = readJson(INDEX_KEY, {})[directory]?.[file.name];
+    if (!entry || !isSupported()) return null;
+    const signature = file.release?.signature?.value;
+    if (signature && entry.file.release?.signature?.value !== signature) return null;
+    const response = await (await caches.open(FIRMWARE_CACHE)).match(cacheUrl(directory, file.name));
+    return response ? new Uint8Array(await response.arrayBuffer()) : null;
+  }
+
+  async function removeRelease(directory, filename) {
+    if (isSupported()) await (await caches.open(FIRMWARE_CACHE)).delete(cacheUrl(directory, filename));
+    const index = readJson(INDEX_KEY, {});
+    if (index[directory]) delete index[directory][filename];
+    writeJson(INDEX_KEY, index);
+  }
+
+  /* ---- signing keys ---- */
+  function saveSigningKeys(keys) {
+    writeJson(KEYS_KEY, keys);
+  }
+
+  function loadSigningKeys() {
+    return readJson(KEYS_KEY, null);
+  }
+
+  /* ---- pending update reports ---- */
+  function pendingReports() {
+    return readJson(REPORTS_KEY, []);
+  }
+
+  function queueReport(report) {
+    const reports = pendingReports().filter(r => r.id !== report.id);
+    reports.push(report);
+    // Oldest go first if a device has been offline for a very long time
+    writeJson(REPORTS_KEY, reports.slice(-MAX_PENDING_REPORTS));
+  }
+
+  function removeReport(id) {
+    writeJson(REPORTS_KEY, pendingReports().filter(r => r.id !== id));
+  }
+
+  window.OfflineStore = {
+    isSupported,
+    listReleases,
+    hasRelease,
+    saveRelease,
+    loadRelease,
+    removeRelease,
+    saveSigningKeys,
+    loadSigningKeys,
+    pendingReports,
+    queueReport,
+    removeReport
+  };
+})();
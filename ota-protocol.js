@@ -0,0 +1,679 @@
+// ota-protocol.js - WheelTurtle BLE OTA protocol, independent of the page and of Web Bluetooth
+// Loaded by update.html (<script src="ota-protocol.js">, exposed as window.OtaProtocol,
+// after firmware-versions.js) and by fake-wheelturtle.js, which runs it against a simulated device in Node.
+//
+// Protocol: text commands on the control characteristic, raw bytes on the data one.
+//   host → control   "enter update mode"      device → "ACK,UPDATE"
+//   host → control   "START,size=<bytes>,md5=<hex>"   device → "ACK,START" once erased
+//   host → data      the image, in chunks
+//   host → control   "END"
+//   device → control notifications "PROGRESS,<percent>[,offset=<bytes>]", "RESULT,OK",
+//                                   "RESULT,FAIL[,reason]"
+//   After RESULT,OK the device reboots into the new image; the host reconnects and
+//   reads the firmware version from the Settings characteristic to confirm it booted.
+//
+// Resume extension (firmware that keeps a partial transfer across a dropped link):
+//   host → control   "STATUS"
+//   device → control "STATUS,state=<idle|receiving|done>,offset=<bytes received>,size=<n>,md5=<hex>[,mtu=<n>]"
+//   host → control   "RESUME,offset=<n>"
+//   device → control "RESUME,OK,offset=<n>" or "RESUME,FAIL[,reason]"
+// Older firmware ignores both and sends no ACKs; no STATUS reply within statusTimeoutMs
+// means "restart from 0" and fixed delays stand in for the ACKs.
+// The mtu field (negotiated ATT MTU) sets the chunk size; PROGRESS offsets pace
+// write-without-response streaming (see performOtaUpdate). WheelTurtle firmware sends
+// PROGRESS each time another 10 % of the image has arrived.
+//
+// Transport: what performOtaUpdate() talks to. connectWebBluetooth() builds one from a
+// GATT server; fake-wheelturtle.js builds one from a simulated device.
+//   writeControl(text)          Promise - one command on the control characteristic
+//   writeData(bytes)            Promise - one chunk on the data characteristic, acknowledged
+//   writeDataWithoutResponse(bytes)  optional; Promise - one chunk as a write command
+//   maxWriteSize                optional; largest write the link is known to take
+//   onControlMessage(listener)  listener(text) per notification; returns an unsubscribe function
+//   onDisconnect(listener)      returns an unsubscribe function
+//   isConnected()
+//   reconnect()                 optional; Promise - re-establishes the link after a drop
+//                               (without it the reboot can't be confirmed)
+//   readSettings()              optional; Promise - the Settings characteristic as text
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./firmware-versions'));
+  } else {
+    root.OtaProtocol = factory(root.FirmwareVersions);
+  }
+})(typeof self !== 'undefined' ? self : this, function (FirmwareVersions) {
+  // Chunk sizes tried from largest down: ATT maximum, 2M PHY sweet spot, common MTUs, minimum
+  const CHUNK_SIZES = [509, 448, 244, 182, 128, 20];
+  const ATT_OVERHEAD = 3;
+
+  const DEFAULT_OPTIONS = {
+    chunkSize: null,        // bytes per data write; null = negotiate (see negotiateChunkSize)
+    writeWithoutResponse: true,
+    windowBytes: 16 * 1024, // minimum unconfirmed bytes in flight with write-without-response
+    progressPercent: 10,    // how far apart the device's PROGRESS is, until two have been seen
+    ackTimeoutMs: 3000,     // wait for PROGRESS before sending acknowledged writes
+    modeTimeoutMs: 5000,    // wait for ACK,UPDATE
+    startTimeoutMs: 20000,  // wait for ACK,START (the device erases the OTA partition first)
+    enterDelayMs: 1000,     // firmware without ACKs: time to switch into update mode
+    startDelayMs: 2000,     // firmware without ACKs: time to erase the OTA partition
+    resultTimeoutMs: 10000, // how long to wait for RESULT after END
+    rebootTimeoutMs: 30000, // from RESULT,OK until the rebooted device is connected again
+    statusTimeoutMs: 1500,  // how long to wait for a STATUS / RESUME reply
+    probeStatus: true,      // ask STATUS first; false for firmware known not to support it
+    resume: true,           // pick up a partial transfer (also one left by a page reload)
+    maxReconnects: 3,       // link drops survived per update
+    reconnectDelayMs: 1000
+  };
+
+  // error.code: NOT_CONNECTED, PROFILE_MISMATCH, DISCONNECTED, WRITE_FAILED, DEVICE_REJECTED,
+  // TIMEOUT, VERSION_UNKNOWN, VERSION_MISMATCH
+  class OtaError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = 'OtaError';
+      this.code = code;
+    }
+  }
+
+  const td = new TextDecoder('utf-8');
+  const te = new TextEncoder();
+
+  function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function withTimeout(promise, ms, message) {
+    let timer = null;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); })
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  // "v3.1 " → "3.1.0", as firmware-compat.js reads the device's version; text that isn't a
+  // version is kept as it is
+  function normalizeVersion(version) {
+    const text = String(version || '').trim();
+    return FirmwareVersions.parseVersion(text) || text || null;
+  }
+
+  // Semver equality, so "3.1" on the device confirms release 3.1.0
+  function sameVersion(a, b) {
+    if (!FirmwareVersions.isValidVersion(a) || !FirmwareVersions.isValidVersion(b)) return a === b;
+    return FirmwareVersions.compareVersions(a, b) === 0;
+  }
+
+  // "key=value,key=value" pairs of a STATUS / RESUME reply
+  function parseFields(message) {
+    const fields = {};
+    for (const part of message.split(',')) {
+      const idx = part.indexOf('=');
+      if (idx > 0) fields[part.slice(0, idx).trim()] = part.slice(idx + 1).trim();
+    }
+    return fields;
+  }
+
+  // Classifies one control notification
+  function parseDeviceMessage(text) {
+    const message = String(text || '').trim();
+    if (message.startsWith('STATUS,')) {
+      const fields = parseFields(message);
+      return {
+        type: 'status',
+        state: fields.state || 'idle',
+        offset: parseInt(fields.offset || '0', 10),
+        size: parseInt(fields.size || '0', 10),
+        md5: (fields.md5 || '').toLowerCase(),
+        mtu: fields.mtu ? parseInt(fields.mtu, 10) : null,
+        text: message
+      };
+    }
+    if (message.startsWith('RESUME,OK')) {
+      return { type: 'resume', ok: true, offset: parseInt(parseFields(message).offset || '0', 10), text: message };
+    }
+    if (message.startsWith('RESUME,FAIL')) {
+      return { type: 'resume', ok: false, reason: message.slice('RESUME,FAIL'.length).replace(/^,/, '').trim() || null, text: message };
+    }
+    const ack = message.match(/^ACK,(\w+)/);
+    if (ack) {
+      return { type: 'ack', command: ack[1].toUpperCase(), text: message };
+    }
+    const progress = message.match(/PROGRESS,(\d+)(?:,offset=(\d+))?/);
+    if (progress) {
+      return {
+        type: 'progress',
+        percent: Math.min(100, parseInt(progress[1], 10)),
+        offset: progress[2] !== undefined ? parseInt(progress[2], 10) : null,
+        text: message
+      };
+    }
+    if (message.includes('RESULT,OK')) {
+      return { type: 'result', ok: true, text: message };
+    }
+    if (message.includes('RESULT,FAIL')) {
+      const reason = message.slice(message.indexOf('RESULT,FAIL') + 'RESULT,FAIL'.length).replace(/^,/, '').trim();
+      return { type: 'result', ok: false, reason: reason || null, text: message };
+    }
+    return { type: 'other', text: message };
+  }
+
+  /* ---------------- update flow ---------------- */
+  // Sends command and resolves with the first notification match() accepts, or null
+  // when none arrives within timeoutMs
+  async function request(transport, command, match, timeoutMs) {
+    let off = null;
+    let timer = null;
+    const reply = new Promise(resolve => {
+      off = transport.onControlMessage(text => {
+        const message = parseDeviceMessage(text);
+        if (match(message)) resolve(message);
+      });
+      timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+    try {
+      await transport.writeControl(command);
+      return await reply;
+    } finally {
+      clearTimeout(timer);
+      off();
+    }
+  }
+
+  // The device's view of the transfer, or null when its firmware doesn't answer STATUS
+  function queryStatus(transport, timeoutMs) {
+    return request(transport, 'STATUS', message => message.type === 'status', timeoutMs);
+  }
+
+  // Largest data write the link takes: from the MTU the device reports, else what the
+  // transport knows, else the ATT maximum (smaller sizes are tried if writes fail)
+  function negotiateChunkSize(status, transport, requested) {
+    if (requested) return requested;
+    if (status && status.mtu > 3) return Math.min(status.mtu - ATT_OVERHEAD, CHUNK_SIZES[0]);
+    if (transport.maxWriteSize) return Math.min(transport.maxWriteSize, CHUNK_SIZES[0]);
+    return CHUNK_SIZES[0];
+  }
+
+  /* ---------------- state machine ---------------- */
+  // idle → entering-update → started → streaming → verifying → rebooting → confirmed,
+  // or failed from any state. A resumed transfer goes idle → streaming; a transfer
+  // restarted after a dropped link goes streaming → entering-update.
+  const STATES = ['idle', 'entering-update', 'started', 'streaming', 'verifying', 'rebooting', 'confirmed', 'failed'];
+  const TRANSITIONS = {
+    idle: ['entering-update', 'streaming'],
+    'entering-update': ['started'],
+    started: ['streaming'],
+    streaming: ['entering-update', 'verifying'],
+    verifying: ['rebooting'],
+    rebooting: ['confirmed'],
+    confirmed: [],
+    failed: []
+  };
+
+  function createStateMachine(onState) {
+    let state = 'idle';
+    return {
+      get state() { return state; },
+      to(next, info = {}) {
+        const allowed = next === 'failed' ? !['confirmed', 'failed'].includes(state) : TRANSITIONS[state].includes(next);
+        if (!allowed) throw new Error(`Invalid OTA state transition ${state} → ${next}`);
+        const previous = state;
+        state = next;
+        onState(next, { previous, ...info });
+      }
+    };
+  }
+
+  // Sends data to the device and proves the device runs it. options: md5 (hex) and
+  // expectedVersion (the release's version) are required, as is readVersion(transport),
+  // which resolves the firmware version the device reports (from its Settings);
+  // the settings in DEFAULT_OPTIONS; and callbacks onLog(text), onDeviceMessage(text),
+  // onState(state, { previous, error }) and
+  // onProgress({ sent, total, fraction, source, bytesPerSecond, etaSeconds }).
+  // Resolves { state: 'confirmed', version, stats } only once the device has rebooted,
+  // reconnected and reports expectedVersion. Rejects with an OtaError otherwise;
+  // error.state is the state the update failed in.
+  // A link dropped mid-transfer is reconnected (when the transport can) and the transfer
+  // resumed from the device's offset, or restarted from 0 on firmware without RESUME.
+  // Data goes out as write-without-response when the transport supports it, paced by the
+  // device's PROGRESS: the window in flight is two PROGRESS steps (at least windowBytes).
+  // When PROGRESS stops for ackTimeoutMs, acknowledged writes carry on until the device
+  // reports again; a device that never sends PROGRESS gets acknowledged writes only.
+  // A failed write falls back to smaller chunks, then to acknowledged writes.
+  async function performOtaUpdate(transport, data, options = {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const log = opts.onLog || (() => {});
+    const onProgress = opts.onProgress || (() => {});
+    const md5 = String(opts.md5 || '').toLowerCase();
+    const expectedVersion = normalizeVersion(opts.expectedVersion);
+    const total = data.length;
+
+    if (!md5) throw new TypeError('performOtaUpdate needs options.md5');
+    if (!expectedVersion || typeof opts.readVersion !== 'function') {
+      throw new TypeError('performOtaUpdate needs options.expectedVersion and options.readVersion');
+    }
+    if (!transport.isConnected()) throw new OtaError('NOT_CONNECTED', 'Device is not connected');
+
+    const machine = createStateMachine(opts.onState || (() => {}));
+    let result = null;
+    let ack = null;             // last ACK,<command> from the device
+    let acks = false;           // firmware acknowledges commands (it answered STATUS)
+    let disconnected = false;
+    let wake = null;
+    let reconnects = 0;
+    let deviceOffset = 0;       // bytes the device has reported via PROGRESS
+    let lastProgress = null;    // offset in the last PROGRESS
+    let progressStep = null;    // gap between the last two PROGRESS offsets
+    let catchingUp = false;     // acknowledged writes until the next PROGRESS
+    let chunkSize = null;
+    let writeMode = opts.writeWithoutResponse && typeof transport.writeDataWithoutResponse === 'function'
+      ? 'without-response' : 'with-response';
+
+    // Throughput over the current streaming run (reset after a reconnect)
+    let rateStart = { time: Date.now(), sent: 0 };
+    const throughput = sent => {
+      const seconds = (Date.now() - rateStart.time) / 1000;
+      const bytesPerSecond = seconds > 0.2 ? (sent - rateStart.sent) / seconds : null;
+      return {
+        bytesPerSecond,
+        etaSeconds: bytesPerSecond ? (total - sent) / bytesPerSecond : null
+      };
+    };
+    const startedAt = Date.now();
+
+    const offMessage = transport.onControlMessage(text => {
+      const message = parseDeviceMessage(text);
+      if (opts.onDeviceMessage) opts.onDeviceMessage(message.text);
+      if (message.type === 'progress') {
+        const offset = message.offset !== null ? message.offset : Math.floor(message.percent * total / 100);
+        // The gap that ends a stall spans lost or late PROGRESS, so it doesn't size the window
+        if (lastProgress !== null && offset > lastProgress && !catchingUp) progressStep = offset - lastProgress;
+        if (offset > deviceOffset) catchingUp = false;
+        lastProgress = offset;
+        deviceOffset = Math.max(deviceOffset, offset);
+        onProgress({ sent: null, total, fraction: message.percent / 100, source: 'device' });
+      } else if (message.type === 'result') {
+        result = message;
+      } else if (message.type === 'ack') {
+        ack = message.command;
+      }
+      if (wake) wake();
+    });
+    const offDisconnect = transport.onDisconnect(() => {
+      disconnected = true;
+      if (wake) wake();
+    });
+
+    // Resolves once done() is true or ms have passed
+    const waitFor = (ms, done) => new Promise(resolve => {
+      if (done()) return resolve();
+      const timer = setTimeout(finish, ms);
+      function finish() {
+        clearTimeout(timer);
+        wake = null;
+        resolve();
+      }
+      wake = () => { if (done()) finish(); };
+    });
+
+    const failIfGone = (stage) => {
+      if (disconnected) throw new OtaError('DISCONNECTED', `Device disconnected ${stage}`);
+      if (result && !result.ok) throw new OtaError('DEVICE_REJECTED', `Device reported failure: ${result.reason || result.text}`);
+    };
+
+    // Sends a command and waits for ACK,<expected>. Firmware without ACKs gets the
+    // fixed legacyDelayMs instead.
+    const command = async (text, expected, timeoutMs, legacyDelayMs, stage) => {
+      ack = null;
+      await transport.writeControl(text);
+      if (!acks) {
+        await sleep(legacyDelayMs);
+        failIfGone(stage);
+        return;
+      }
+      await waitFor(timeoutMs, () => ack === expected || result || disconnected);
+      failIfGone(stage);
+      if (ack !== expected) {
+        throw new OtaError('TIMEOUT', `Device did not acknowledge ${expected} within ${timeoutMs / 1000} s`);
+      }
+    };
+
+    // enter update mode + START; the device starts over at byte 0
+    const startTransfer = async () => {
+      machine.to('entering-update');
+      log('Step 1: Entering update mode...');
+      await command('enter update mode', 'UPDATE', opts.modeTimeoutMs, opts.enterDelayMs, 'while entering update mode');
+
+      machine.to('started');
+      log(`Step 2: Sending START (${total} bytes, MD5 ${md5})...`);
+      await command(`START,size=${total},md5=${md5}`, 'START', opts.startTimeoutMs, opts.startDelayMs, 'after START');
+      return 0;
+    };
+
+    // Asks the device where it stands, settles the chunk size, and returns the offset to
+    // continue from if it holds a partial transfer of this image, else null
+    const tryResume = async () => {
+      const status = opts.probeStatus ? await queryStatus(transport, opts.statusTimeoutMs) : null;
+      if (chunkSize === null) {
+        acks = !!status;
+        chunkSize = negotiateChunkSize(status, transport, options.chunkSize);
+        log(`Chunk size ${chunkSize} bytes${status && status.mtu ? ` (MTU ${status.mtu})` : ''}, ${writeMode} writes`);
+      }
+      if (!status) {
+        log('Device does not report transfer status (older firmware) - using fixed delays');
+        return null;
+      }
+      log(`Device status: ${status.state}, ${status.offset}/${status.size} bytes`);
+      if (!opts.resume || status.state !== 'receiving' || status.size !== total || status.md5 !== md5 ||
+          status.offset <= 0 || status.offset > total) {
+        return null;
+      }
+
+      const reply = await request(transport, `RESUME,offset=${status.offset}`, message => message.type === 'resume', opts.statusTimeoutMs);
+      if (!reply || !reply.ok) {
+        log(`Device refused to resume${reply && reply.reason ? `: ${reply.reason}` : ''}`);
+        return null;
+      }
+      log(`Resuming transfer at byte ${reply.offset}`);
+      return reply.offset;
+    };
+
+    // After a drop mid-transfer: reconnect, then resume or restart. Returns the new offset.
+    const recover = async (sent) => {
+      if (typeof transport.reconnect !== 'function' || reconnects >= opts.maxReconnects) {
+        throw new OtaError('DISCONNECTED', `Device disconnected during firmware transfer (at byte ${sent})`);
+      }
+      reconnects++;
+      log(`Link lost at byte ${sent} - reconnecting (attempt ${reconnects}/${opts.maxReconnects})...`);
+      await sleep(opts.reconnectDelayMs);
+      try {
+        await transport.reconnect();
+      } catch (error) {
+        log(`Reconnect failed: ${error.message || error}`);
+        return recover(sent);
+      }
+      disconnected = false;
+      result = null;
+
+      const offset = await tryResume();
+      if (offset !== null) return offset;
+      log('Restarting transfer from byte 0');
+      const restarted = await startTransfer();
+      machine.to('streaming');
+      return restarted;
+    };
+
+    // After a failed data write: try a smaller chunk, then acknowledged writes.
+    // Returns false when there is nothing left to fall back to.
+    const fallBack = (error, sent) => {
+      const smaller = CHUNK_SIZES.find(size => size < chunkSize);
+      if (smaller) {
+        log(`Write of ${chunkSize} bytes failed at byte ${sent} (${error.message || error}) - trying ${smaller}-byte chunks`);
+        chunkSize = smaller;
+        return true;
+      }
+      if (writeMode === 'without-response') {
+        log(`Write without response failed at byte ${sent} (${error.message || error}) - switching to acknowledged writes`);
+        writeMode = 'with-response';
+        chunkSize = negotiateChunkSize(null, transport, options.chunkSize);
+        return true;
+      }
+      return false;
+    };
+
+    // The device drops the link to boot the new image; wait for that, reconnect within
+    // rebootTimeoutMs and read back the version it now runs
+    const confirmReboot = async () => {
+      const deadline = Date.now() + opts.rebootTimeoutMs;
+      await waitFor(opts.rebootTimeoutMs, () => disconnected || !transport.isConnected());
+      if (!disconnected && transport.isConnected()) {
+        throw new OtaError('TIMEOUT', `Device did not reboot within ${opts.rebootTimeoutMs / 1000} s`);
+      }
+      if (typeof transport.reconnect !== 'function') {
+        throw new OtaError('DISCONNECTED', 'Cannot reconnect to check the new firmware version');
+      }
+
+      log('Step 6: Waiting for the device to come back...');
+      let attempt = 0;
+      for (;;) {
+        await sleep(opts.reconnectDelayMs);
+        attempt++;
+        try {
+          await withTimeout(transport.reconnect(), Math.max(0, deadline - Date.now()), 'Reconnect timed out');
+          break;
+        } catch (error) {
+          if (Date.now() >= deadline) {
+            throw new OtaError('DISCONNECTED', `Device did not come back within ${opts.rebootTimeoutMs / 1000} s after rebooting`);
+          }
+          log(`Reconnect attempt ${attempt} failed: ${error.message || error}`);
+        }
+      }
+      disconnected = false;
+
+      let version = null;
+      try {
+        version = normalizeVersion(await opts.readVersion(transport));
+      } catch (error) {
+        throw new OtaError('VERSION_UNKNOWN', `Could not read the firmware version after rebooting: ${error.message || error}`);
+      }
+      if (!version) throw new OtaError('VERSION_UNKNOWN', 'Device did not report a firmware version after rebooting');
+      if (!sameVersion(version, expectedVersion)) {
+        throw new OtaError('VERSION_MISMATCH', `Device runs ${version} after rebooting, expected ${expectedVersion} (the new image did not boot)`);
+      }
+      log(`Device reports firmware ${version}`);
+      return version;
+    };
+
+    const stats = () => ({
+      chunkSize,
+      writeMode,
+      reconnects,
+      elapsedMs: Date.now() - startedAt,
+      bytesPerSecond: throughput(total).bytesPerSecond
+    });
+
+    try {
+      let sent = await tryResume();
+      if (sent === null) sent = await startTransfer();
+      machine.to('streaming');
+      deviceOffset = sent;
+      rateStart = { time: Date.now(), sent };
+
+      log(`Step 3: Streaming firmware data (${chunkSize}-byte chunks, ${writeMode} writes)...`);
+      while (sent < total) {
+        if (result && !result.ok) {
+          throw new OtaError('DEVICE_REJECTED', `Device reported failure: ${result.reason || result.text}`);
+        }
+        if (disconnected || !transport.isConnected()) {
+          sent = await recover(sent);
+          deviceOffset = sent;
+          rateStart = { time: Date.now(), sent };
+          continue;
+        }
+
+        // Flow control: stay at most two PROGRESS steps ahead of what the device has confirmed
+        const windowSize = Math.max(opts.windowBytes, 2 * (progressStep || Math.ceil(total * opts.progressPercent / 100)));
+        if (writeMode === 'without-response' && !catchingUp && sent - deviceOffset >= windowSize) {
+          await waitFor(opts.ackTimeoutMs, () => sent - deviceOffset < windowSize || disconnected || result);
+          if (sent - deviceOffset >= windowSize && !disconnected && !result) {
+            if (lastProgress !== null) {
+              log(`No PROGRESS from device for ${opts.ackTimeoutMs} ms - acknowledged writes until it reports again`);
+              catchingUp = true;
+            } else {
+              log(`No PROGRESS from device for ${opts.ackTimeoutMs} ms - switching to acknowledged writes`);
+              writeMode = 'with-response';
+            }
+          }
+          continue;
+        }
+
+        const end = Math.min(sent + chunkSize, total);
+        try {
+          if (writeMode === 'without-response' && !catchingUp) {
+            await transport.writeDataWithoutResponse(data.subarray(sent, end));
+          } else {
+            await transport.writeData(data.subarray(sent, end));
+          }
+        } catch (error) {
+          if (disconnected || !transport.isConnected()) continue;
+          if (fallBack(error, sent)) continue;
+          throw new OtaError('WRITE_FAILED', `Write failed at byte ${sent}: ${error.message || error}`);
+        }
+        sent = end;
+        onProgress({ sent, total, fraction: sent / total, source: 'host', ...throughput(sent) });
+      }
+      log(`Data transfer complete: ${sent} bytes sent`);
+
+      // Unacknowledged writes may still be queued on the device; let it catch up before END
+      if (writeMode === 'without-response') {
+        await waitFor(opts.ackTimeoutMs, () => deviceOffset >= total || disconnected || result);
+      }
+
+      machine.to('verifying');
+      log('Step 4: Sending END, waiting for the device to verify the image...');
+      try {
+        await transport.writeControl('END');
+      } catch (error) {
+        // The device may already be applying the update and dropping the link;
+        // the version check after the reboot decides
+        if (!disconnected && transport.isConnected()) throw error;
+        log(`Note: END not acknowledged (${error.message || error})`);
+      }
+      await waitFor(opts.resultTimeoutMs, () => result || disconnected);
+
+      if (result && !result.ok) {
+        throw new OtaError('DEVICE_REJECTED', `Device reported failure: ${result.reason || result.text}`);
+      }
+      if (!result && !disconnected) {
+        throw new OtaError('TIMEOUT', `Device did not report a verification result within ${opts.resultTimeoutMs / 1000} s`);
+      }
+
+      machine.to('rebooting');
+      log(result
+        ? 'Step 5: Device verified the image and is rebooting...'
+        : 'Step 5: Device dropped the link without a verification result - checking the version after reboot...');
+      const version = await confirmReboot();
+
+      machine.to('confirmed');
+      return { state: 'confirmed', version, stats: stats() };
+    } catch (caught) {
+      let error = caught;
+      if (!(error instanceof OtaError)) {
+        error = (disconnected || !transport.isConnected())
+          ? new OtaError('DISCONNECTED', `Device disconnected: ${caught.message || caught}`)
+          : new OtaError('WRITE_FAILED', caught.message || String(caught));
+      }
+      error.state = machine.state;
+      machine.to('failed', { error });
+      throw error;
+    } finally {
+      offMessage();
+      offDisconnect();
+    }
+  }
+
+  /* ---------------- Web Bluetooth transport ---------------- */
+  // Finds the OTA characteristics on a connected GATT server and wraps them as a transport.
+  // ble: a device profile's ble entry (device-profiles.js) - the service and characteristics
+  // are looked up by exact UUID, and a device without them is rejected with PROFILE_MISMATCH
+  // naming profileName. transport.settings is the Settings characteristic for the page to
+  // subscribe to; readSettings() reads it once. transport.capabilities is what the GATT
+  // properties and the profile say the firmware can do. reconnect() reconnects the GATT
+  // server and finds the characteristics again.
+  async function connectWebBluetooth(device, server, ble, { onLog, profileName = 'selected' } = {}) {
+    const log = onLog || (() => {});
+    const messageListeners = new Set();
+    const disconnectListeners = new Set();
+    const chars = { control: null, data: null, settings: null };
+
+    const mismatch = detail => new OtaError('PROFILE_MISMATCH',
+      `${device.name || 'This device'} does not match the ${profileName} profile: ${detail}. Is this the right device for this page?`);
+    const onControlValue = event => {
+      const text = td.decode(event.target.value);
+      messageListeners.forEach(listener => listener(text));
+    };
+
+    async function attach(gattServer) {
+      if (chars.control) chars.control.removeEventListener('characteristicvaluechanged', onControlValue);
+      chars.control = null;
+      chars.data = null;
+      chars.settings = null;
+
+      let service;
+      try {
+        service = await gattServer.getPrimaryService(ble.service);
+      } catch (error) {
+        if (!gattServer.connected) throw new OtaError('NOT_CONNECTED', `Device disconnected during discovery: ${error.message || error}`);
+        throw mismatch(`no OTA service ${ble.service}`);
+      }
+      log(`Found OTA service ${ble.service}`);
+
+      for (const role of ['control', 'data', 'settings']) {
+        try {
+          chars[role] = await service.getCharacteristic(ble.characteristics[role]);
+        } catch (error) {
+          if (!gattServer.connected) throw new OtaError('NOT_CONNECTED', `Device disconnected during discovery: ${error.message || error}`);
+          throw mismatch(`no ${role} characteristic ${ble.characteristics[role]}`);
+        }
+        log(`Found ${role} characteristic ${chars[role].uuid}`);
+      }
+
+      const props = role => chars[role].properties;
+      if (!props('control').notify || !(props('control').write || props('control').writeWithoutResponse)) {
+        throw mismatch('the control characteristic must be writable and send notifications');
+      }
+      if (!props('data').write && !props('data').writeWithoutResponse) {
+        throw mismatch('the data characteristic is not writable');
+      }
+      if (!props('settings').read) {
+        throw mismatch('the settings characteristic is not readable');
+      }
+
+      await chars.control.startNotifications();
+      chars.control.addEventListener('characteristicvaluechanged', onControlValue);
+      log('Subscribed to OTA control notifications');
+    }
+
+    await attach(server);
+    device.addEventListener('gattserverdisconnected', () => {
+      disconnectListeners.forEach(listener => listener());
+    });
+
+    const subscribe = (set, listener) => {
+      set.add(listener);
+      return () => set.delete(listener);
+    };
+
+    return {
+      get settings() { return chars.settings; },
+      get capabilities() {
+        return {
+          writeWithoutResponse: !!chars.data.properties.writeWithoutResponse,
+          settingsNotify: !!chars.settings.properties.notify,
+          status: ble.commands.includes('STATUS'),
+          resume: ble.commands.includes('RESUME')
+        };
+      },
+      isConnected: () => !!(device.gatt && device.gatt.connected),
+      writeControl: text => chars.control.writeValue(te.encode(text)),
+      writeData: bytes => (chars.data.writeValueWithResponse
+        ? chars.data.writeValueWithResponse(bytes)
+        : chars.data.writeValue(bytes)),
+      // Only offered when the firmware's data characteristic allows write commands
+      get writeDataWithoutResponse() {
+        if (!chars.data.properties.writeWithoutResponse || !chars.data.writeValueWithoutResponse) return undefined;
+        return bytes => chars.data.writeValueWithoutResponse(bytes);
+      },
+      onControlMessage: listener => subscribe(messageListeners, listener),
+      onDisconnect: listener => subscribe(disconnectListeners, listener),
+      readSettings: async () => td.decode(await chars.settings.readValue()),
+      reconnect: async () => {
+        log('Reconnecting...');
+        await attach(await device.gatt.connect());
+        log('Reconnected');
+      }
+    };
+  }
+
+  return { STATES, CHUNK_SIZES, DEFAULT_OPTIONS, OtaError, parseDeviceMessage, performOtaUpdate, connectWebBluetooth };
+});
@@ -0,0 +1,156 @@
+// ota-session-log.js - Structured log of one OTA session, for support
+// Loaded by the update pages (<script src="ota-session-log.js">, exposed as
+// window.OtaSessionLog) and by server.js, which validates uploaded logs and renders
+// them as text with the same code.
+//
+// A session starts when the user clicks Update. It records timestamped events (page log
+// lines, OTA state changes, device messages, progress samples, errors), the device and
+// release it was about, the transfer stats and the outcome. The short session ID is
+// shown on the failure message so customers can read it out to support; admins look
+// uploaded logs up by it.
+//
+// JSON shape:
+//   { type: "teamplus-ota-session", version: 1, id, startedAt, finishedAt, outcome,
+//     error: { code, state, message } | null, device: {...}, release: {...},
+//     stats: {...} | null, events: [{ ms, type, message, data? }] }
+// events[].ms is milliseconds since startedAt.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.OtaSessionLog = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const LOG_TYPE = 'teamplus-ota-session';
+  const LOG_VERSION = 1;
+  const EVENT_TYPES = ['info', 'state', 'device', 'progress', 'error'];
+  const MAX_EVENTS = 2000;
+  const MAX_MESSAGE_LENGTH = 500;
+  // Crockford base32: no I, L, O or U, so IDs survive being read out over the phone
+  const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+  const ID_LENGTH = 8;
+
+  function newSessionId() {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(ID_LENGTH));
+    return Array.from(bytes, b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+  }
+
+  // Accepts what people type: lower case, spaces, dashes, O for 0 and I/L for 1.
+  // Returns the canonical ID, or null when it can't be one.
+  function normalizeSessionId(input) {
+    const id = String(input || '').toUpperCase().replace(/[\s-]/g, '')
+      .replace(/O/g, '0').replace(/[IL]/g, '1');
+    const valid = id.length === ID_LENGTH && [...id].every(c => ID_ALPHABET.includes(c));
+    return valid ? id : null;
+  }
+
+  // "K7Q2-M9XD", for display
+  function formatSessionId(id) {
+    return `${id.slice(0, 4)}-${id.slice(4)}`;
+  }
+
+  // info: { device, release } known when the session starts.
+  // The returned session collects events until finish(); toJSON() gives the log.
+  function createSessionLog(info = {}) {
+    const started = Date.now();
+    const log = {
+      type: LOG_TYPE,
+      version: LOG_VERSION,
+      id: newSessionId(),
+      startedAt: new Date(started).toISOString(),
+      finishedAt: null,
+      outcome: null,
+      error: null,
+      device: info.device || {},
+      release: info.release || {},
+      stats: null,
+      events: []
+    };
+    let dropped = 0;
+
+    function add(type, message, data) {
+      // Keep the start and the end of a runaway session; the middle is the least useful
+      if (log.events.length >= MAX_EVENTS) {
+        log.events.splice(MAX_EVENTS / 2, 1);
+        dropped++;
+      }
+      const event = { ms: Date.now() - started, type, message: String(message).slice(0, MAX_MESSAGE_LENGTH) };
+      if (data !== undefined) event.data = data;
+      log.events.push(event);
+    }
+
+    return {
+      get id() { return log.id; },
+      get finished() { return !!log.finishedAt; },
+      add,
+      // outcome: 'confirmed' | 'failed'; error: an OtaError or Error when it failed
+      finish(outcome, { error, stats } = {}) {
+        log.finishedAt = new Date().toISOString();
+        log.outcome = outcome;
+        if (stats) log.stats = stats;
+        if (error) {
+          log.error = { code: error.code || null, state: error.state || null, message: error.message || String(error) };
+        }
+        if (dropped) add('info', `${dropped} event(s) dropped from the middle of the session`);
+      },
+      toJSON() {
+        return JSON.parse(JSON.stringify(log));
+      }
+    };
+  }
+
+  // Checks an uploaded log; returns an error message or null
+  function validateSessionLog(log) {
+    if (!log || log.type !== LOG_TYPE) return 'Not an OTA session log';
+    if (log.version !== LOG_VERSION) return `Unsupported session log version ${log.version}`;
+    if (normalizeSessionId(log.id) !== log.id) return 'Invalid session ID';
+    if (isNaN(new Date(log.startedAt))) return 'Invalid start time';
+    if (!Array.isArray(log.events) || log.events.length > MAX_EVENTS + 1) return `A session log holds at most ${MAX_EVENTS} events`;
+    const badEvent = log.events.find(event => !event || typeof event.ms !== 'number' ||
+      !EVENT_TYPES.includes(event.type) || typeof event.message !== 'string' || event.message.length > MAX_MESSAGE_LENGTH);
+    if (badEvent) return 'Invalid event in session log';
+    for (const key of ['device', 'release']) {
+      if (log[key] !== null && typeof log[key] !== 'object') return `Invalid ${key} section`;
+    }
+    return null;
+  }
+
+  function describe(section) {
+    return Object.entries(section || {})
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(', ') || '—';
+  }
+
+  // Plain-text rendering of a log (from toJSON() or an upload), for email and tickets
+  function formatText(log) {
+    const lines = [
+      `TeamPlus OTA session ${formatSessionId(log.id)}`,
+      `Started:  ${log.startedAt}`,
+      `Finished: ${log.finishedAt || '(not finished)'}`,
+      `Outcome:  ${log.outcome || 'unknown'}`
+    ];
+    if (log.error) {
+      lines.push(`Error:    ${log.error.code || 'ERROR'}${log.error.state ? ` while ${log.error.state}` : ''}: ${log.error.message}`);
+    }
+    lines.push(`Device:   ${describe(log.device)}`, `Release:  ${describe(log.release)}`);
+    if (log.stats) lines.push(`Transfer: ${describe(log.stats)}`);
+    lines.push('', 'Events:');
+    for (const event of log.events) {
+      const data = event.data !== undefined ? ` ${JSON.stringify(event.data)}` : '';
+      lines.push(`+${(event.ms / 1000).toFixed(3).padStart(8)}s [${event.type}] ${event.message}${data}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    LOG_TYPE,
+    newSessionId,
+    normalizeSessionId,
+    formatSessionId,
+    createSessionLog,
+    validateSessionLog,
+    formatText
+  };
+});
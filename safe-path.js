@@ -0,0 +1,69 @@
+// safe-path.js - Name validation and confined path resolution for the firmware tree
+// Every route that turns user input into a filesystem path goes through
+// resolveInside(), which refuses anything that would land outside the base
+// directory: "..", separators (including ones that arrive URL-encoded), absolute
+// paths, NUL bytes and symlinks pointing elsewhere.
+
+const fs = require('fs');
+const path = require('path');
+
+// Letters, numbers, spaces, hyphens and underscores; no leading/trailing space
+const DIRECTORY_NAME_RE = /^[A-Za-z0-9_-](?:[A-Za-z0-9 _-]{0,62}[A-Za-z0-9_-])?$/;
+// A single path component ending in .bin; dots allowed inside (wtc-3.1.0.bin) but not leading
+const FILE_NAME_RE = /^[A-Za-z0-9_-][A-Za-z0-9._-]{0,123}\.bin$/;
+
+function unsafe(message) {
+  const error = new Error(message);
+  error.code = 'UNSAFE_PATH';
+  return error;
+}
+
+function directoryNameError(name) {
+  if (typeof name !== 'string' || !DIRECTORY_NAME_RE.test(name)) {
+    return 'Invalid directory name. Use 1-64 letters, numbers, spaces, hyphens and underscores.';
+  }
+  return null;
+}
+
+function fileNameError(name) {
+  if (typeof name !== 'string' || !FILE_NAME_RE.test(name) || name.includes('..')) {
+    return 'Invalid file name. Use letters, numbers, dots, hyphens and underscores, ending in .bin.';
+  }
+  return null;
+}
+
+function isInside(base, target) {
+  const relative = path.relative(base, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Resolves base/name1/name2/... and throws (error.code = 'UNSAFE_PATH') unless the
+// result, with symlinks followed, is inside base. Each name must be one path component.
+function resolveInside(base, ...names) {
+  for (const name of names) {
+    if (typeof name !== 'string' || name === '' || name === '.' || name === '..' ||
+        /[\/\\\0]/.test(name) || path.isAbsolute(name)) {
+      throw unsafe(`Unsafe path component: ${JSON.stringify(String(name))}`);
+    }
+  }
+
+  const resolvedBase = path.resolve(base);
+  const target = path.resolve(resolvedBase, ...names);
+  if (!isInside(resolvedBase, target)) {
+    throw unsafe('Path escapes the firmware directory');
+  }
+
+  // Follow symlinks on the deepest part of the path that exists
+  const realBase = fs.realpathSync(resolvedBase);
+  let existing = target;
+  while (!fs.existsSync(existing) && existing !== resolvedBase) {
+    existing = path.dirname(existing);
+  }
+  if (fs.lstatSync(existing).isSymbolicLink() || !isInside(realBase, fs.realpathSync(existing))) {
+    throw unsafe('Path resolves outside the firmware directory');
+  }
+
+  return target;
+}
+
+module.exports = { directoryNameError, fileNameError, resolveInside };
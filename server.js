@@ -1,7 +1,8 @@
-// server.js – 2FA with role-based auth (everyone can access)
+// server.js – 2FA with role-based auth (roles assigned server-side)
 require('dotenv').config();
 
 const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const nodemailer = require('nodemailer');
@@ -9,22 +10,89 @@ const jwt = require('jsonwebtoken');
 const fsPromises = require('fs').promises;  // Changed: use fsPromises instead of fs
 const fsSync = require('fs');               // Changed: use fsSync for synchronous operations
 const multer = require('multer');
+const { createStore } = require('./store');
+const catalog = require('./firmware-catalog');
+const espImage = require('./esp-image');
+const deviceProfiles = require('./device-profiles');
+const safePath = require('./safe-path');
+const { createSigner } = require('./firmware-signing');
+const rollout = require('./firmware-rollout');
+const compat = require('./firmware-compat');
+const sessionLogs = require('./ota-session-log');
+const directorySetup = require('./directory-setup');
 
 const PORT = process.env.PORT || 3000;
+// Runtime data (store, generated signing key, session logs) and published firmware.
+// Both can be moved, e.g. to temporary directories for the tests.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '.data'));
+const FIRMWARE_DIR = path.resolve(process.env.FIRMWARE_DIR || path.join(__dirname, 'public', 'firmware'));
+const ACCESS_TOKEN_TTL_SEC = parseInt(process.env.ACCESS_TOKEN_TTL_SEC || '900', 10);
+const REFRESH_TOKEN_TTL_SEC = parseInt(process.env.REFRESH_TOKEN_TTL_SEC || String(30 * 24 * 60 * 60), 10);
+
+if (!process.env.JWT_SECRET) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('❌ JWT_SECRET must be set when NODE_ENV=production. Refusing to start.');
+    process.exit(1);
+  }
+  console.warn('⚠ JWT_SECRET is not set - using an insecure development secret');
+}
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-change-this';
 
+if (process.env.NODE_ENV === 'production' && !process.env.FIRMWARE_SIGNING_KEY && !process.env.FIRMWARE_SIGNING_KEY_FILE) {
+  console.error('❌ FIRMWARE_SIGNING_KEY or FIRMWARE_SIGNING_KEY_FILE must be set when NODE_ENV=production. Refusing to start.');
+  process.exit(1);
+}
+
 const app = express();
 app.use(cors());
+app.use('/api/session-logs', express.json({ limit: '1mb' }));  // OTA session logs run to a few hundred KB
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from root directory (for HTML files)
-app.use(express.static(__dirname));
-// Also serve from public folder (for firmware files)
-app.use(express.static(path.resolve('./public')));
+// The pages, the browser modules they load and the app manifest, by name. Nothing else in
+// the repository is served: not the server code or .env, not DATA_DIR, and never firmware,
+// which only GET /firmware/:device/:filename hands out (with the draft, rollout and pin
+// rules of the listing). Add a file here when a page starts loading it.
+const STATIC_FILES = [
+  'index.html', 'admin-login.html', 'admin.html', 'dashboard.html', 'downloads.html',
+  'firmware.html', 'products.html', 'update.html', 'wtc-update.html',
+  'auth-check.js', 'device-profiles.js', 'device-settings.js', 'firmware-versions.js',
+  'firmware-compat.js', 'firmware-signature.js', 'offline-store.js', 'ota-protocol.js',
+  'ota-session-log.js', 'service-worker.js', 'manifest.webmanifest', 'icon.svg'
+];
+app.get('/', (req, res) => res.sendFile('index.html', { root: __dirname }));
+for (const file of STATIC_FILES) {
+  app.get(`/${file}`, (req, res) => res.sendFile(file, { root: __dirname }));
+}
+
+/* ---------------- persistent store ---------------- */
+// Users, pending verification codes, issued sessions and revocations.
+// STORE_BACKEND=file (default, STORE_FILE to relocate) or memory.
+const store = createStore({
+  backend: process.env.STORE_BACKEND,
+  file: process.env.STORE_FILE || path.join(DATA_DIR, 'store.json')
+});
+
+// Update reports, the fleet and session-log records (HISTORY_STORE_FILE to relocate).
+// They grow for a year, so they stay out of the store every request's auth check reads.
+const HISTORY_COLLECTIONS = ['updates', 'fleet', 'sessionLogs'];
+const historyStore = createStore({
+  backend: process.env.STORE_BACKEND,
+  file: process.env.HISTORY_STORE_FILE || path.join(DATA_DIR, 'history.json')
+});
+
+// Moves history an older server kept in the main store into the history store
+async function migrateHistory() {
+  for (const collection of HISTORY_COLLECTIONS) {
+    const records = await store.takeCollection(collection);
+    const count = Object.keys(records).length;
+    if (!count) continue;
+    await historyStore.mergeCollection(collection, records);
+    console.log(`✓ Moved ${count} ${collection} record(s) to the history store`);
+  }
+}
 
-/* ---------------- 2FA store & mailer ---------------- */
-const verifyStore = new Map();
+/* ---------------- 2FA codes & mailer ---------------- */
 const CODE_TTL = parseInt(process.env.VERIFY_CODE_TTL_SEC || '600', 10);
 const RESEND_COOLDOWN = parseInt(process.env.VERIFY_COOLDOWN_SEC || '60', 10);
 
@@ -39,9 +107,153 @@ const mailer = nodemailer.createTransport({
 });
 
 function genCode() {
-  return String(Math.floor(100000 + Math.random() * 900000));
+  return String(crypto.randomInt(100000, 1000000));
+}
+
+// Codes are stored hashed so a leaked store file doesn't hand out logins
+function hashCode(identifier, code) {
+  return crypto.createHash('sha256').update(`${identifier}:${code}`).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/* ------------- signing keys ------------- */
+// JWT_SECRET (key id JWT_KEY_ID, default "primary") signs new tokens. To rotate,
+// move the old secret into JWT_PREVIOUS_KEYS ("kid:secret,kid:secret") so tokens
+// it already signed keep verifying until they expire.
+const ACTIVE_KID = process.env.JWT_KEY_ID || 'primary';
+const signingKeys = new Map([[ACTIVE_KID, JWT_SECRET]]);
+
+for (const entry of String(process.env.JWT_PREVIOUS_KEYS || '').split(',')) {
+  const idx = entry.indexOf(':');
+  if (idx <= 0) continue;
+  const kid = entry.slice(0, idx).trim();
+  if (kid && !signingKeys.has(kid)) signingKeys.set(kid, entry.slice(idx + 1).trim());
+}
+
+function signAccessToken(claims, jti) {
+  return jwt.sign(claims, signingKeys.get(ACTIVE_KID), {
+    algorithm: 'HS256',
+    expiresIn: ACCESS_TOKEN_TTL_SEC,
+    jwtid: jti,
+    keyid: ACTIVE_KID
+  });
+}
+
+/* ------------- sessions ------------- */
+// A session is one login. It owns a chain of refresh tokens: each refresh
+// consumes the presented token and hands out a new one. Presenting an
+// already-used refresh token means it was copied, so the whole session is
+// revoked. Access tokens carry the session id (sid) and die with it.
+// Reuse within REFRESH_REUSE_GRACE_MS is treated as two tabs racing to
+// refresh and is refused without revoking.
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function issueTokens(sid, email, role) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  await store.set('refreshTokens', hashToken(refreshToken), {
+    sid,
+    email,
+    issuedAt: now,
+    expiresAt: now + REFRESH_TOKEN_TTL_SEC * 1000
+  });
+
+  return {
+    token: signAccessToken({ email, role, sid }, crypto.randomUUID()),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SEC
+  };
+}
+
+async function startSession(email, role) {
+  const sid = crypto.randomUUID();
+  const now = Date.now();
+
+  await store.set('sessions', sid, {
+    email,
+    role,
+    createdAt: now,
+    lastRefreshedAt: now,
+    expiresAt: now + REFRESH_TOKEN_TTL_SEC * 1000
+  });
+
+  return issueTokens(sid, email, role);
+}
+
+// Throws on forged, expired or revoked tokens; returns the decoded claims
+async function verifyAccessToken(token) {
+  const header = jwt.decode(token, { complete: true })?.header || {};
+  const key = signingKeys.get(header.kid || ACTIVE_KID);
+  if (!key) throw new jwt.JsonWebTokenError('Unknown signing key');
+
+  const decoded = jwt.verify(token, key, { algorithms: ['HS256'] });
+
+  if (!decoded.sid || await store.get('revocations', decoded.sid)) {
+    const error = new Error('Token revoked');
+    error.name = 'TokenRevokedError';
+    throw error;
+  }
+
+  return decoded;
 }
 
+async function revokeSession(sid) {
+  const session = await store.get('sessions', sid);
+  const expiresAt = session?.expiresAt || Date.now() + REFRESH_TOKEN_TTL_SEC * 1000;
+
+  await store.set('revocations', sid, { revokedAt: Date.now(), email: session?.email, expiresAt });
+  await store.delete('sessions', sid);
+
+  for (const entry of await store.list('refreshTokens', record => record.sid === sid)) {
+    await store.delete('refreshTokens', entry.key);
+  }
+}
+
+/* ------------- auth middleware ------------- */
+// Validates the Bearer token issued by /auth/verify-code and, when roles are
+// given, requires the token's role claim to be one of them.
+function requireAuth(...roles) {
+  return async (req, res, next) => {
+    const header = String(req.headers.authorization || '');
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+
+    if (!match) {
+      return res.status(401).json({ ok: false, error: 'Authentication required' });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyAccessToken(match[1]);
+    } catch (e) {
+      const error = e.name === 'TokenExpiredError' ? 'Token expired'
+        : e.name === 'TokenRevokedError' ? 'Token revoked'
+        : 'Invalid token';
+      return res.status(401).json({ ok: false, error });
+    }
+
+    if (roles.length > 0 && !roles.includes(decoded.role)) {
+      console.log(`Access denied for ${decoded.email} (${decoded.role}) on ${req.method} ${req.path}`);
+      return res.status(403).json({ ok: false, error: 'You do not have permission to perform this action' });
+    }
+
+    req.user = { email: decoded.email, role: decoded.role, sid: decoded.sid };
+    next();
+  };
+}
+
+const requireUser = requireAuth('user', 'admin');
+const requireAdmin = requireAuth('admin');
+
 /* ------------- health check ------------- */
 app.get('/auth/debug-smtp', async (req, res) => {
   try { 
@@ -53,101 +265,272 @@ app.get('/auth/debug-smtp', async (req, res) => {
   }
 });
 
+/* ------------- user / role registry ------------- */
+// Roles are assigned here, never taken from the request body. Admins are
+// seeded from ADMIN_EMAILS into the users collection; every other verified
+// email is a plain user.
+function parseEmailList(value) {
+  return String(value || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+}
+
+async function seedAdmins() {
+  const adminEmails = parseEmailList(process.env.ADMIN_EMAILS);
+
+  for (const email of adminEmails) {
+    await store.update('users', email, user => ({
+      createdAt: Date.now(),
+      ...user,
+      email,
+      role: 'admin',
+      roleSource: 'ADMIN_EMAILS'
+    }));
+  }
+
+  // Someone removed from ADMIN_EMAILS loses the role on the next start
+  const stale = await store.list('users', user => user.roleSource === 'ADMIN_EMAILS' && !adminEmails.includes(user.email));
+  for (const user of stale) {
+    await store.update('users', user.key, current => ({ ...current, role: 'user', roleSource: undefined }));
+    console.log(`Removed admin role from ${user.email} (no longer in ADMIN_EMAILS)`);
+  }
+
+  if (adminEmails.length === 0) {
+    console.warn('⚠ ADMIN_EMAILS is empty - nobody will be able to sign in as admin');
+  }
+}
+
+async function roleFor(email) {
+  const user = await store.get('users', email);
+  return user?.role || 'user';
+}
+
 /* ------------- send code ------------- */
-app.post('/auth/send-code', async (req, res) => {
+// One flow for both login pages. `portal: 'admin'` (or the legacy
+// /auth/admin-send-code route) only changes the email wording and refuses
+// emails that are not registered as admin; it never grants the role.
+function sendCodeEmail(identifier, code, isAdminPortal) {
+  const minutes = Math.floor(CODE_TTL/60);
+
+  if (isAdminPortal) {
+    return mailer.sendMail({
+      from: process.env.SMTP_FROM || `admin@teamplus.cloud`,
+      to: identifier,
+      subject: 'Team Plus Admin - Verification Code',
+      text: `Your admin verification code is ${code}. It expires in ${minutes} minutes.`,
+      html: `<div style="font-family:Arial,sans-serif">
+               <h2 style="color:#003366">Admin Login Verification</h2>
+               <p>Your verification code:</p>
+               <p style="font-size:32px;font-weight:700;letter-spacing:6px;color:#003366">${code}</p>
+               <p>Expires in ${minutes} minutes.</p>
+               <p style="color:#666;font-size:12px">This code is for admin access only.</p>
+             </div>`
+    });
+  }
+
+  return mailer.sendMail({
+    from: process.env.SMTP_FROM || `admin@teamplus.cloud`,
+    to: identifier,
+    subject: 'Your Team Plus verification code',
+    text: `Your verification code is ${code}. It expires in ${minutes} minutes.`,
+    html: `<div style="font-family:Arial,sans-serif">
+             <p>Your verification code:</p>
+             <p style="font-size:28px;font-weight:700;letter-spacing:4px">${code}</p>
+             <p>Expires in ${minutes} minutes.</p>
+           </div>`
+  });
+}
+
+async function handleSendCode(req, res, isAdminPortal) {
   try {
     const identifier = String(req.body?.identifier || '').trim().toLowerCase();
-    const role = String(req.body?.role || 'user').trim().toLowerCase();
-    
+
     if (!identifier || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(identifier)) {
       return res.status(400).json({ error: 'Valid email required' });
     }
 
-    // Everyone can access as user or admin - no restrictions
-    
-    const now = Date.now();
-    const prev = verifyStore.get(identifier);
-    if (prev && now - prev.lastSentAt < RESEND_COOLDOWN * 1000) {
-      const wait = Math.ceil((RESEND_COOLDOWN * 1000 - (now - prev.lastSentAt)) / 1000);
-      return res.status(429).json({ error: `Please wait ${wait}s before requesting again` });
+    if (isAdminPortal && await roleFor(identifier) !== 'admin') {
+      console.log(`Access denied for ${identifier} - not registered as admin`);
+      return res.status(403).json({
+        error: 'Access denied. This email is not authorized for admin access.'
+      });
     }
 
+    const now = Date.now();
     const code = genCode();
-    verifyStore.set(identifier, { 
-      code, 
-      role,
-      expiresAt: now + CODE_TTL * 1000, 
-      lastSentAt: now, 
-      attempts: 0 
-    });
+    let wait = 0;
 
-    await mailer.sendMail({
-      from: process.env.SMTP_FROM || `admin@teamplus.cloud`,
-      to: identifier,
-      subject: 'Your Team Plus verification code',
-      text: `Your verification code is ${code}. It expires in ${Math.floor(CODE_TTL/60)} minutes.`,
-      html: `<div style="font-family:Arial,sans-serif">
-               <p>Your verification code:</p>
-               <p style="font-size:28px;font-weight:700;letter-spacing:4px">${code}</p>
-               <p>Expires in ${Math.floor(CODE_TTL/60)} minutes.</p>
-             </div>`
+    await store.update('codes', identifier, prev => {
+      if (prev && now - prev.lastSentAt < RESEND_COOLDOWN * 1000) {
+        wait = Math.ceil((RESEND_COOLDOWN * 1000 - (now - prev.lastSentAt)) / 1000);
+        return prev;
+      }
+      return {
+        codeHash: hashCode(identifier, code),
+        expiresAt: now + CODE_TTL * 1000,
+        lastSentAt: now,
+        attempts: 0
+      };
     });
 
+    if (wait > 0) {
+      return res.status(429).json({ error: `Please wait ${wait}s before requesting again` });
+    }
+
+    await sendCodeEmail(identifier, code, isAdminPortal);
+
+    if (isAdminPortal) console.log(`✓ Admin verification code sent to ${identifier}`);
     res.json({ ok: true, message: 'Code sent' });
   } catch (e) {
     console.error('send-code error', e);
     res.status(500).json({ error: 'Failed to send code' });
   }
+}
+
+app.post('/auth/send-code', (req, res) => {
+  const isAdminPortal = String(req.body?.portal || '').trim().toLowerCase() === 'admin';
+  return handleSendCode(req, res, isAdminPortal);
 });
 
+// Kept for older admin-login pages; same flow as portal: 'admin'
+app.post('/auth/admin-send-code', (req, res) => handleSendCode(req, res, true));
+
 /* ------------- verify code ------------- */
-app.post('/auth/verify-code', (req, res) => {
-  const identifier = String(req.body?.identifier || '').trim().toLowerCase();
-  const code = String(req.body?.code || '').trim();
+app.post('/auth/verify-code', async (req, res) => {
+  try {
+    const identifier = String(req.body?.identifier || '').trim().toLowerCase();
+    const code = String(req.body?.code || '').trim();
 
-  const entry = verifyStore.get(identifier);
-  if (!entry) return res.status(400).json({ error: 'No code requested for this email' });
+    // Count the attempt before comparing so parallel guesses can't skip the limit
+    const entry = await store.update('codes', identifier, prev => {
+      if (!prev) return undefined;
+      return { ...prev, attempts: (prev.attempts || 0) + 1 };
+    });
 
-  const now = Date.now();
-  if (now > entry.expiresAt) {
-    verifyStore.delete(identifier);
-    return res.status(400).json({ error: 'Code expired. Request a new one.' });
+    if (!entry) return res.status(400).json({ error: 'No code requested for this email, or it has expired' });
+
+    if (entry.attempts > 6) {
+      await store.delete('codes', identifier);
+      return res.status(429).json({ error: 'Too many attempts. Request a new code.' });
+    }
+
+    if (!safeEqual(entry.codeHash, hashCode(identifier, code))) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    await store.delete('codes', identifier);
+
+    // Role comes from the registry at verification time, not from the send-code request
+    const role = await roleFor(identifier);
+    const tokens = await startSession(identifier, role);
+
+    await store.update('users', identifier, user => ({
+      createdAt: Date.now(),
+      role,
+      ...user,
+      email: identifier,
+      lastLoginAt: Date.now()
+    }));
+
+    res.json({ 
+      ok: true, 
+      message: 'Email verified',
+      ...tokens,
+      role,
+      email: identifier
+    });
+  } catch (e) {
+    console.error('verify-code error', e);
+    res.status(500).json({ error: 'Failed to verify code' });
   }
-  
-  entry.attempts = (entry.attempts || 0) + 1;
-  if (entry.attempts > 6) {
-    verifyStore.delete(identifier);
-    return res.status(429).json({ error: 'Too many attempts. Request a new code.' });
+});
+
+/* ------------- refresh access token ------------- */
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const refreshToken = String(req.body?.refreshToken || '');
+    if (!refreshToken) {
+      return res.status(401).json({ ok: false, error: 'No refresh token provided' });
+    }
+
+    const hash = hashToken(refreshToken);
+    const now = Date.now();
+    let reused = false;
+
+    const record = await store.update('refreshTokens', hash, prev => {
+      if (!prev) return undefined;
+      if (prev.usedAt) {
+        reused = true;
+        return prev;
+      }
+      return { ...prev, usedAt: now };
+    });
+
+    if (!record) {
+      return res.status(401).json({ ok: false, error: 'Invalid or expired refresh token' });
+    }
+
+    if (reused && now - record.usedAt < REFRESH_REUSE_GRACE_MS) {
+      return res.status(401).json({ ok: false, error: 'Refresh token already used' });
+    }
+
+    if (reused) {
+      console.log(`⚠ Refresh token reuse for ${record.email} - revoking session ${record.sid}`);
+      await revokeSession(record.sid);
+      return res.status(401).json({ ok: false, error: 'Refresh token already used. Please login again.' });
+    }
+
+    const session = await store.get('sessions', record.sid);
+    if (!session || await store.get('revocations', record.sid)) {
+      return res.status(401).json({ ok: false, error: 'Session has ended. Please login again.' });
+    }
+
+    // Pick up role changes made since the last refresh
+    const role = await roleFor(record.email);
+    await store.set('sessions', record.sid, { ...session, role, lastRefreshedAt: now });
+
+    const tokens = await issueTokens(record.sid, record.email, role);
+    res.json({ ok: true, ...tokens, role, email: record.email });
+  } catch (e) {
+    console.error('refresh error', e);
+    res.status(500).json({ ok: false, error: 'Failed to refresh session' });
+  }
+});
+
+/* ------------- logout ------------- */
+// Revokes the session behind the refresh token and/or Bearer access token.
+// Always answers ok so a client can clear its storage regardless.
+app.post('/auth/logout', async (req, res) => {
+  try {
+    const sids = new Set();
+
+    const refreshToken = String(req.body?.refreshToken || '');
+    if (refreshToken) {
+      const record = await store.get('refreshTokens', hashToken(refreshToken));
+      if (record) sids.add(record.sid);
+    }
+
+    const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (match) {
+      try {
+        const decoded = await verifyAccessToken(match[1]);
+        sids.add(decoded.sid);
+      } catch {
+        // Expired or already revoked - nothing more to do for this token
+      }
+    }
+
+    for (const sid of sids) {
+      await revokeSession(sid);
+    }
+
+    res.json({ ok: true, message: 'Logged out' });
+  } catch (e) {
+    console.error('logout error', e);
+    res.status(500).json({ ok: false, error: 'Failed to logout' });
   }
-  
-  if (entry.code !== code) {
-    return res.status(400).json({ error: 'Invalid code' });
-  }
-
-  // Generate JWT token
-  const token = jwt.sign(
-    { 
-      email: identifier, 
-      role: entry.role || 'user',
-      iat: Math.floor(Date.now() / 1000)
-    },
-    JWT_SECRET,
-    { expiresIn: '24h' }
-  );
-
-  verifyStore.delete(identifier);
-  
-  res.json({ 
-    ok: true, 
-    message: 'Email verified',
-    token,
-    role: entry.role || 'user',
-    email: identifier
-  });
 });
 
 /* ------------- verify token endpoint ------------- */
-app.post('/auth/verify-token', (req, res) => {
+app.post('/auth/verify-token', async (req, res) => {
   const token = req.body?.token;
   
   if (!token) {
@@ -155,7 +538,7 @@ app.post('/auth/verify-token', (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = await verifyAccessToken(token);
     res.json({ 
       valid: true, 
       email: decoded.email, 
@@ -166,75 +549,116 @@ app.post('/auth/verify-token', (req, res) => {
   }
 });
 
-/* ------------- Admin-only send code (with email whitelist) ------------- */
-app.post('/auth/admin-send-code', async (req, res) => {
-  try {
-    const identifier = String(req.body?.identifier || '').trim().toLowerCase();
-    const role = String(req.body?.role || 'admin').trim().toLowerCase();
-    
-    if (!identifier || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(identifier)) {
-      return res.status(400).json({ error: 'Valid email required' });
-    }
-
-    // Check if email is in admin whitelist
-    const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
-    
-    if (ADMIN_EMAILS.length > 0 && !ADMIN_EMAILS.includes(identifier)) {
-      console.log(`Access denied for ${identifier} - not in admin whitelist`);
-      return res.status(403).json({ 
-        error: 'Access denied. This email is not authorized for admin access.' 
-      });
-    }
-    
-    const now = Date.now();
-    const prev = verifyStore.get(identifier);
-    if (prev && now - prev.lastSentAt < RESEND_COOLDOWN * 1000) {
-      const wait = Math.ceil((RESEND_COOLDOWN * 1000 - (now - prev.lastSentAt)) / 1000);
-      return res.status(429).json({ error: `Please wait ${wait}s before requesting again` });
-    }
-
-    const code = genCode();
-    verifyStore.set(identifier, { 
-      code, 
-      role,
-      expiresAt: now + CODE_TTL * 1000, 
-      lastSentAt: now, 
-      attempts: 0 
-    });
-
-    await mailer.sendMail({
-      from: process.env.SMTP_FROM || `admin@teamplus.cloud`,
-      to: identifier,
-      subject: 'Team Plus Admin - Verification Code',
-      text: `Your admin verification code is ${code}. It expires in ${Math.floor(CODE_TTL/60)} minutes.`,
-      html: `<div style="font-family:Arial,sans-serif">
-               <h2 style="color:#003366">Admin Login Verification</h2>
-               <p>Your verification code:</p>
-               <p style="font-size:32px;font-weight:700;letter-spacing:6px;color:#003366">${code}</p>
-               <p>Expires in ${Math.floor(CODE_TTL/60)} minutes.</p>
-               <p style="color:#666;font-size:12px">This code is for admin access only.</p>
-             </div>`
-    });
-
-    console.log(`✓ Admin verification code sent to ${identifier}`);
-    res.json({ ok: true, message: 'Code sent' });
-  } catch (e) {
-    console.error('admin-send-code error', e);
-    res.status(500).json({ error: 'Failed to send code' });
-  }
-});
 /* ============================================
    ADMIN API ENDPOINTS - Firmware Management
+   Listing is open to any signed-in user; every
+   mutating route requires role: admin.
    ============================================ */
 
-// Firmware directory path
-const FIRMWARE_DIR = path.join(__dirname, 'public', 'firmware');
-
 // Ensure firmware directory exists
 if (!fsSync.existsSync(FIRMWARE_DIR)) {
   fsSync.mkdirSync(FIRMWARE_DIR, { recursive: true });
 }
 
+// Permissions, .metadata.json and hooks for new device directories (see directory-setup.js)
+const directories = directorySetup.createDirectorySetup();
+
+function logSetupWarnings(name, warnings) {
+  for (const warning of warnings) console.log(`⚠ ${name}: ${warning}`);
+}
+
+// Resolves user-supplied directory/file names under FIRMWARE_DIR. Throws
+// (error.code = 'UNSAFE_PATH') for anything that would escape it.
+function firmwarePath(...names) {
+  return safePath.resolveInside(FIRMWARE_DIR, ...names);
+}
+
+function isFile(filePath) {
+  return fsSync.statSync(filePath, { throwIfNoEntry: false })?.isFile() || false;
+}
+
+// Sends 400 for a rejected path; returns true when the error was handled
+function rejectUnsafePath(res, error) {
+  if (error.code !== 'UNSAFE_PATH') return false;
+  console.log(`Rejected unsafe path: ${error.message}`);
+  res.status(400).json({ ok: false, error: 'Invalid path' });
+  return true;
+}
+
+/* ========= FIRMWARE SIGNING ========= */
+// Releases are signed on upload from the uploaded bytes, never from what is on disk,
+// so a file swapped on the server afterwards no longer matches its signature.
+const signer = createSigner({
+  key: process.env.FIRMWARE_SIGNING_KEY,
+  keyFile: process.env.FIRMWARE_SIGNING_KEY_FILE,
+  generatedKeyFile: path.join(DATA_DIR, 'firmware-signing-key.pem')
+});
+console.log(`✓ Firmware signing key ${signer.keyId}`);
+
+// Re-signs a release after its device directory or filename changed. The size and
+// SHA-256 come from the old (verified) statement, not from the file on disk.
+async function resignRelease(dirPath, device, filename) {
+  const meta = await catalog.readReleaseMeta(dirPath, filename);
+  if (!meta.signature) return;
+
+  const statement = signer.verify(meta.signature);
+  if (!statement) {
+    console.warn(`⚠ Not re-signing ${device}/${filename}: existing signature does not verify`);
+    return;
+  }
+  meta.signature = signer.sign({ ...statement, device, filename });
+  await catalog.writeReleaseMeta(dirPath, filename, meta);
+}
+
+/* ========= CURRENT RELEASE PINS ========= */
+// store 'firmwarePins', keyed by device directory:
+//   { filename, pinnedBy, pinnedAt, history: [earlier pins, newest last] }
+const PIN_HISTORY_LIMIT = 20;
+
+async function getPin(device) {
+  return (await store.get('firmwarePins', device)) || null;
+}
+
+// Pins filename, remembering the previous pin. A rollback instead drops the target and
+// everything after it from the history, so repeated rollbacks keep walking back.
+async function setPin(device, filename, email, { rollback = false } = {}) {
+  return store.update('firmwarePins', device, current => {
+    let history = current?.history || [];
+    if (rollback) {
+      const earlier = history.map(entry => entry.filename).lastIndexOf(filename);
+      if (earlier !== -1) history = history.slice(0, earlier);
+    } else if (current) {
+      history = [...history, { filename: current.filename, pinnedBy: current.pinnedBy, pinnedAt: current.pinnedAt }];
+    }
+    return { filename, pinnedBy: email, pinnedAt: new Date().toISOString(), history: history.slice(-PIN_HISTORY_LIMIT) };
+  });
+}
+
+// Keeps pins pointing at the right file after a rename
+async function renamePinnedFile(device, oldName, newName) {
+  await store.update('firmwarePins', device, current => current && {
+    ...current,
+    filename: current.filename === oldName ? newName : current.filename,
+    history: (current.history || []).map(entry => entry.filename === oldName ? { ...entry, filename: newName } : entry)
+  });
+}
+
+// Validates :device (and :filename when present). Sends 400 and returns false when invalid;
+// throws UNSAFE_PATH for names that resolve outside the firmware tree.
+function validFirmwareParams(req, res) {
+  const { device, filename } = req.params;
+  if (safePath.directoryNameError(device)) {
+    res.status(400).json({ ok: false, error: 'Invalid device name' });
+    return false;
+  }
+  if (filename !== undefined && safePath.fileNameError(filename)) {
+    res.status(400).json({ ok: false, error: 'Invalid file name' });
+    return false;
+  }
+  firmwarePath(device, ...(filename !== undefined ? [filename] : []));
+  return true;
+}
+
 /* ========= FILE UPLOAD CONFIGURATION ========= */
 const upload = multer({ 
   storage: multer.memoryStorage(),
@@ -251,49 +675,57 @@ const upload = multer({
 });
 
 // GET /api/directories - List all firmware directories
-app.get('/api/directories', async (req, res) => {
+app.get('/api/directories', requireUser, async (req, res) => {
   try {
     console.log('GET /api/directories - Reading:', FIRMWARE_DIR);
     const entries = await fsPromises.readdir(FIRMWARE_DIR, { withFileTypes: true });
-    const directories = entries
-      .filter(entry => entry.isDirectory())
+    const names = entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
       .map(entry => entry.name)
       .sort();
+    // Description and creation record from .metadata.json, where there is one
+    const details = await Promise.all(names.map(async name => {
+      const metadata = await directorySetup.readMetadata(path.join(FIRMWARE_DIR, name)).catch(() => null);
+      return { ...metadata, name };
+    }));
     
-    console.log('Found directories:', directories);
-    res.json({ ok: true, directories });
+    console.log('Found directories:', names);
+    res.json({ ok: true, directories: names, details });
   } catch (error) {
     console.error('Error reading directories:', error);
     res.status(500).json({ ok: false, error: 'Failed to read directories' });
   }
 });
 
-// POST /api/directories - Create new directory
-app.post('/api/directories', async (req, res) => {
+// POST /api/directories - Create new directory. Body: { name, description? }
+app.post('/api/directories', requireAdmin, async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, description } = req.body;
     
-    if (!name || !/^[a-zA-Z0-9-_\s]+$/.test(name)) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'Invalid directory name. Use only letters, numbers, spaces, hyphens, and underscores.' 
-      });
+    const nameError = safePath.directoryNameError(name) || directorySetup.descriptionError(description);
+    if (nameError) {
+      return res.status(400).json({ ok: false, error: nameError });
     }
 
-    const firmwarePath = path.join(FIRMWARE_DIR, name);
+    const dirPath = firmwarePath(name);
     
-    if (fsSync.existsSync(firmwarePath)) {
-      return res.status(400).json({ 
+    if (fsSync.existsSync(dirPath)) {
+      return res.status(409).json({ 
         ok: false, 
         error: 'Directory already exists' 
       });
     }
 
-    await fsPromises.mkdir(firmwarePath, { recursive: true });
+    const { metadata, warnings } = await directories.create(dirPath, { name, description, createdBy: req.user.email });
+    logSetupWarnings(name, warnings);
     
     console.log(`✓ Created directory: ${name}`);
-    res.json({ ok: true, message: 'Directory created successfully' });
+    res.json({ ok: true, message: 'Directory created successfully', metadata, warnings });
   } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    if (error.code === 'EEXIST') {
+      return res.status(409).json({ ok: false, error: 'Directory already exists' });
+    }
     console.error('Error creating directory:', error);
     res.status(500).json({ ok: false, error: 'Failed to create directory' });
   }
@@ -301,65 +733,163 @@ app.post('/api/directories', async (req, res) => {
 
 
 // DELETE /api/directories/:name - Delete directory
-app.delete('/api/directories/:name', async (req, res) => {
+app.delete('/api/directories/:name', requireAdmin, async (req, res) => {
   try {
-    const dirName = decodeURIComponent(req.params.name);
-    const firmwarePath = path.join(FIRMWARE_DIR, dirName);
+    // Express has already decoded the parameter once; decoding again would let
+    // %252F through as a separator
+    const dirName = req.params.name;
+    if (safePath.directoryNameError(dirName)) {
+      return res.status(400).json({ ok: false, error: 'Invalid directory name' });
+    }
+
+    const dirPath = firmwarePath(dirName);
     
-    if (!fsSync.existsSync(firmwarePath)) {
+    if (!fsSync.existsSync(dirPath)) {
       return res.status(404).json({ ok: false, error: 'Directory not found' });
     }
 
-    await fsPromises.rm(firmwarePath, { recursive: true, force: true });
+    await fsPromises.rm(dirPath, { recursive: true, force: true });
+    await store.delete('firmwarePins', dirName);
+    for (const override of await store.list('firmwareOverrides', o => o.device === dirName)) {
+      await store.delete('firmwareOverrides', override.key);
+    }
     
     console.log(`✓ Deleted directory: ${dirName}`);
     res.json({ ok: true, message: 'Directory deleted successfully' });
   } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
     console.error('Error deleting directory:', error);
     res.status(500).json({ ok: false, error: 'Failed to delete directory' });
   }
 });
 
 // GET /api/files - List files in a directory
-app.get('/api/files', async (req, res) => {
+app.get('/api/files', requireUser, async (req, res) => {
   try {
     const directory = req.query.directory;
     
     if (!directory) {
       return res.status(400).json({ ok: false, error: 'Directory parameter required' });
     }
+    if (safePath.directoryNameError(directory)) {
+      return res.status(400).json({ ok: false, error: 'Invalid directory name' });
+    }
 
-    const dirPath = path.join(FIRMWARE_DIR, directory);
+    const dirPath = firmwarePath(directory);
     
     if (!fsSync.existsSync(dirPath)) {
       return res.json({ ok: true, files: [] });
     }
 
+    const pin = await getPin(directory);
     const entries = await fsPromises.readdir(dirPath, { withFileTypes: true });
     const files = await Promise.all(
       entries
-        .filter(entry => entry.isFile())
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
         .map(async (entry) => {
           const filePath = path.join(dirPath, entry.name);
           const stats = await fsPromises.stat(filePath);
-          return {
+          const file = {
             name: entry.name,
             size: stats.size,
             modified: stats.mtime,
-            url: `/firmware/${directory}/${entry.name}`
+            url: `/firmware/${encodeURIComponent(directory)}/${encodeURIComponent(entry.name)}`
           };
+          if (entry.name.endsWith('.bin')) {
+            file.release = await catalog.describeRelease(dirPath, directory, entry.name);
+          }
+          return file;
         })
     );
+
+    // Users only see releases that have been rolled out to them
+    const visible = files
+      .filter(file => !file.release || rollout.isVisibleTo(file.release, req.user, pin))
+      .map(file => file.release ? { ...file, release: rollout.releaseForUser(file.release, req.user) } : file);
     
-    res.json({ ok: true, files: files.sort((a, b) => b.modified - a.modified) });
+    res.json({
+      ok: true,
+      files: visible.sort((a, b) => b.modified - a.modified),
+      current: pin ? pin.filename : null
+    });
   } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
     console.error('Error reading files:', error);
     res.status(500).json({ ok: false, error: 'Failed to read files' });
   }
 });
 
+// GET /firmware/:device/:filename - Download a release image. Users only get releases
+// /api/files shows them; anything else is 404 so hidden releases don't reveal themselves.
+app.get('/firmware/:device/:filename', requireUser, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device, filename } = req.params;
+    const filePath = firmwarePath(device, filename);
+
+    if (!isFile(filePath)) {
+      return res.status(404).json({ ok: false, error: 'Release not found' });
+    }
+
+    const release = await catalog.describeRelease(firmwarePath(device), device, filename);
+    if (!rollout.isVisibleTo(release, req.user, await getPin(device))) {
+      return res.status(404).json({ ok: false, error: 'Release not found' });
+    }
+
+    res.sendFile(filePath, {
+      headers: { 'Content-Type': 'application/octet-stream', 'Cache-Control': 'private, no-cache' }
+    });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error serving firmware:', error);
+    res.status(500).json({ ok: false, error: 'Failed to read firmware' });
+  }
+});
+
+// Validates the release fields sent alongside an upload. Returns { error } or { meta }.
+// Without an explicit version, the one embedded in the image wins over the filename.
+function parseReleaseFields(body, directory, filename, image) {
+  const version = String(body.version || '').trim() ||
+    catalog.parseVersion(espImage.embeddedAppVersion(image)) ||
+    catalog.parseVersion(filename);
+  const channel = String(body.channel || catalog.DEFAULT_CHANNEL).trim().toLowerCase();
+  const model = String(body.model || '').trim() || directory;
+  const notes = String(body.notes || '').trim();
+
+  if (!version || !catalog.isValidVersion(version)) {
+    return { error: 'A semantic version (e.g. 3.1.0 or 3.2.0-beta.1) is required' };
+  }
+  if (!catalog.CHANNELS.includes(channel)) {
+    return { error: `Channel must be one of: ${catalog.CHANNELS.join(', ')}` };
+  }
+  if (model.length > 64) {
+    return { error: 'Target model must be 64 characters or fewer' };
+  }
+  if (notes.length > 5000) {
+    return { error: 'Release notes must be 5000 characters or fewer' };
+  }
+
+  const { error: rolloutError, rollout: releaseRollout } = rollout.parseRollout({
+    percentage: body.rolloutPercentage,
+    allowList: body.allowList
+  });
+  if (rolloutError) {
+    return { error: rolloutError };
+  }
+
+  return {
+    meta: {
+      version,
+      channel,
+      model,
+      notes,
+      rollout: releaseRollout
+    }
+  };
+}
+
 // POST /api/upload - Upload firmware file
-app.post('/api/upload', upload.single('file'), async (req, res) => {
+app.post('/api/upload', requireAdmin, upload.single('file'), async (req, res) => {
   try {
     console.log('Upload request received');
     console.log('Body:', req.body);
@@ -377,132 +907,861 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
       return res.status(400).json({ ok: false, error: 'Directory name is required' });
     }
 
-    const firmwarePath = path.join(FIRMWARE_DIR, directory);
-    console.log('Target path:', firmwarePath);
+    const nameError = safePath.directoryNameError(directory) || safePath.fileNameError(req.file.originalname);
+    if (nameError) {
+      console.log(`Rejected upload name ${JSON.stringify(req.file.originalname)} in ${JSON.stringify(directory)}`);
+      return res.status(400).json({ ok: false, error: nameError });
+    }
+
+    // Refuse anything that isn't a complete image for this device before it can be flashed
+    let image;
+    try {
+      image = espImage.parseAppImage(req.file.buffer);
+    } catch (error) {
+      if (error.code !== 'INVALID_IMAGE') throw error;
+      console.log(`Rejected ${req.file.originalname}: ${error.message}`);
+      return res.status(400).json({ ok: false, error: error.message });
+    }
+
+    const problems = espImage.checkImageTarget(image, deviceProfiles.imageRulesFor(directory), req.file.buffer);
+    if (problems.length > 0) {
+      console.log(`Rejected ${req.file.originalname} for ${directory}: ${problems.join('; ')}`);
+      return res.status(400).json({ ok: false, error: `Image does not match ${directory}: ${problems.join('; ')}`, problems });
+    }
+
+    const { error: fieldError, meta } = parseReleaseFields(req.body, directory, req.file.originalname, image);
+    if (fieldError) {
+      return res.status(400).json({ ok: false, error: fieldError });
+    }
+
+    const dirPath = firmwarePath(directory);
+    console.log('Target path:', dirPath);
     
     // Create directory if it doesn't exist
-    if (!fsSync.existsSync(firmwarePath)) {
-      console.log('Creating directory:', firmwarePath);
-      fsSync.mkdirSync(firmwarePath, { recursive: true });
+    if (!fsSync.existsSync(dirPath)) {
+      console.log('Creating directory:', dirPath);
+      const { warnings } = await directories.create(dirPath, { name: directory, createdBy: req.user.email });
+      logSetupWarnings(directory, warnings);
     }
 
     // Write file from memory buffer to disk
-    const filePath = path.join(firmwarePath, req.file.originalname);
+    const filePath = firmwarePath(directory, req.file.originalname);
     await fsPromises.writeFile(filePath, req.file.buffer);
 
-    console.log(`✓ SUCCESS: Uploaded ${req.file.originalname} to ${directory} (${req.file.size} bytes)`);
+    // Sidecar release record; checksums are computed here, never taken from the client
+    const release = {
+      ...meta,
+      sizeBytes: req.file.size,
+      sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+      md5: crypto.createHash('md5').update(req.file.buffer).digest('hex'),
+      image: {
+        chip: image.chip,
+        chipName: image.chipName,
+        projectName: image.app.projectName,
+        appVersion: image.app.version,
+        idfVersion: image.app.idfVersion,
+        buildDate: `${image.app.buildDate} ${image.app.buildTime}`.trim(),
+        sha256Appended: image.hashAppended
+      },
+      uploadedBy: req.user.email,
+      uploadedAt: new Date().toISOString()
+    };
+    release.signature = signer.sign({ ...release, device: directory, filename: req.file.originalname });
+    await catalog.writeReleaseMeta(dirPath, req.file.originalname, release);
+
+    console.log(`✓ SUCCESS: Uploaded ${req.file.originalname} v${release.version} (${release.channel}) to ${directory} (${req.file.size} bytes)`);
     
     res.json({ 
       ok: true, 
       message: 'File uploaded successfully',
       filename: req.file.originalname,
-      size: req.file.size
+      size: req.file.size,
+      release
     });
   } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
     console.error('❌ Upload error:', error);
     res.status(500).json({ ok: false, error: error.message || 'Failed to upload file' });
   }
 });
 
 // PUT /api/files/rename - Rename a file
-app.put('/api/files/rename', async (req, res) => {
-  const { directory, oldName, newName } = req.body;
+app.put('/api/files/rename', requireAdmin, async (req, res) => {
+  const { directory, oldName, newName } = req.body || {};
   
   // Validate inputs
   if (!directory || !oldName || !newName) {
-    return res.json({ ok: false, error: 'Missing required fields' });
+    return res.status(400).json({ ok: false, error: 'Missing required fields' });
   }
-  
-  if (!newName.endsWith('.bin')) {
-    return res.json({ ok: false, error: 'New filename must end with .bin' });
-  }
-  
-  const oldPath = path.join(FIRMWARE_DIR, directory, oldName);
-  const newPath = path.join(FIRMWARE_DIR, directory, newName);
-  
-  // Check if old file exists
-  if (!fsSync.existsSync(oldPath)) {
-    return res.json({ ok: false, error: 'Original file not found' });
-  }
-  
-  // Check if new filename already exists
-  if (fsSync.existsSync(newPath)) {
-    return res.json({ ok: false, error: 'A file with that name already exists' });
+
+  // Same rules as uploads: only .bin releases, never the .meta directory or other dotfiles
+  const nameError = safePath.directoryNameError(directory) ||
+    safePath.fileNameError(oldName) || safePath.fileNameError(newName);
+  if (nameError) {
+    return res.status(400).json({ ok: false, error: nameError });
   }
   
   try {
+    const oldPath = firmwarePath(directory, oldName);
+    const newPath = firmwarePath(directory, newName);
+    
+    // Check if old file exists
+    if (!isFile(oldPath)) {
+      return res.status(404).json({ ok: false, error: 'Original file not found' });
+    }
+    
+    // Check if new filename already exists
+    if (fsSync.existsSync(newPath)) {
+      return res.status(409).json({ ok: false, error: 'A file with that name already exists' });
+    }
+    
     fsSync.renameSync(oldPath, newPath);
+    await catalog.renameReleaseMeta(firmwarePath(directory), oldName, newName);
+    await resignRelease(firmwarePath(directory), directory, newName);
+    await renamePinnedFile(directory, oldName, newName);
     console.log(`✓ Renamed file: ${oldName} → ${newName} in ${directory}`);
     res.json({ ok: true, message: 'File renamed successfully' });
   } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
     console.error('Rename error:', error);
-    res.json({ ok: false, error: 'Failed to rename file' });
+    res.status(500).json({ ok: false, error: 'Failed to rename file' });
   }
 });
 
 // PUT /api/directories/rename - Rename a directory
-app.put('/api/directories/rename', async (req, res) => {
-  const { oldName, newName } = req.body;
+app.put('/api/directories/rename', requireAdmin, async (req, res) => {
+  const { oldName, newName } = req.body || {};
   
   if (!oldName || !newName) {
-    return res.json({ ok: false, error: 'Missing required fields' });
-  }
-  
-  const validName = /^[a-zA-Z0-9\s\-_]+$/.test(newName);
-  if (!validName) {
-    return res.json({ 
-      ok: false, 
-      error: 'Directory name can only contain letters, numbers, spaces, hyphens, and underscores' 
-    });
+    return res.status(400).json({ ok: false, error: 'Missing required fields' });
   }
   
-  const oldPath = path.join(FIRMWARE_DIR, oldName);
-  const newPath = path.join(FIRMWARE_DIR, newName);
-  
-  if (!fsSync.existsSync(oldPath)) {
-    return res.json({ ok: false, error: 'Original directory not found' });
-  }
-  
-  if (fsSync.existsSync(newPath)) {
-    return res.json({ ok: false, error: 'A directory with that name already exists' });
+  const nameError = safePath.directoryNameError(oldName) || safePath.directoryNameError(newName);
+  if (nameError) {
+    return res.status(400).json({ ok: false, error: nameError });
   }
   
   try {
+    const oldPath = firmwarePath(oldName);
+    const newPath = firmwarePath(newName);
+    
+    if (!fsSync.existsSync(oldPath)) {
+      return res.status(404).json({ ok: false, error: 'Original directory not found' });
+    }
+    
+    if (fsSync.existsSync(newPath)) {
+      return res.status(409).json({ ok: false, error: 'A directory with that name already exists' });
+    }
+    
     fsSync.renameSync(oldPath, newPath);
+    await directorySetup.updateMetadata(newPath, { name: newName });
+    for (const release of await catalog.listReleases(FIRMWARE_DIR, newName)) {
+      await resignRelease(newPath, newName, release.filename);
+    }
+    const pin = await getPin(oldName);
+    if (pin) {
+      await store.set('firmwarePins', newName, pin);
+      await store.delete('firmwarePins', oldName);
+    }
+    for (const override of await store.list('firmwareOverrides', o => o.device === oldName)) {
+      await store.update('firmwareOverrides', override.key, current => current && { ...current, device: newName });
+    }
     console.log(`✓ Renamed directory: ${oldName} → ${newName}`);
     res.json({ ok: true, message: 'Directory renamed successfully' });
   } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
     console.error('Directory rename error:', error);
-    res.json({ ok: false, error: 'Failed to rename directory' });
+    res.status(500).json({ ok: false, error: 'Failed to rename directory' });
   }
 });
 // DELETE /api/files - Delete a file
-app.delete('/api/files', async (req, res) => {
+app.delete('/api/files', requireAdmin, async (req, res) => {
   try {
-    const { directory, filename } = req.body;
+    const { directory, filename } = req.body || {};
     
     if (!directory || !filename) {
       return res.status(400).json({ ok: false, error: 'Directory and filename required' });
     }
 
-    const filePath = path.join(FIRMWARE_DIR, directory, filename);
+    const nameError = safePath.directoryNameError(directory) || safePath.fileNameError(filename);
+    if (nameError) {
+      return res.status(400).json({ ok: false, error: nameError });
+    }
+
+    const filePath = firmwarePath(directory, filename);
     
-    if (!fsSync.existsSync(filePath)) {
+    if (!isFile(filePath)) {
       return res.status(404).json({ ok: false, error: 'File not found' });
     }
 
     await fsPromises.unlink(filePath);
+    await catalog.deleteReleaseMeta(firmwarePath(directory), filename);
+    const pin = await getPin(directory);
+    if (pin && pin.filename === filename) {
+      await store.delete('firmwarePins', directory);
+      console.log(`Unpinned ${directory}: pinned release ${filename} was deleted`);
+    }
     
     console.log(`✓ Deleted file: ${filename} from ${directory}`);
     res.json({ ok: true, message: 'File deleted successfully' });
   } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
     console.error('Error deleting file:', error);
     res.status(500).json({ ok: false, error: 'Failed to delete file' });
   }
 });
 
-/* ------------- start ------------- */
-app.listen(PORT, () => {
-  console.log(`▶ 2FA server running on http://localhost:3000`);
-  console.log(`   CORS enabled.`);
+/* ============================================
+   FIRMWARE RELEASE MANIFEST
+   Generated from public/firmware/<device>/ so it
+   always matches what is actually published.
+   ============================================ */
+
+function withDownloadUrl(req, release) {
+  return release && { ...release, url: `${req.protocol}://${req.get('host')}${release.path}` };
+}
+
+// GET /api/firmware/signing-key - Public keys the update page verifies releases with
+app.get('/api/firmware/signing-key', (req, res) => {
+  res.json({ ok: true, keys: signer.publicKeys() });
+});
+
+// GET /api/device-profiles - The device model registry (device-profiles.js): what the shop,
+// the firmware list and the update page show, and how to reach each model over Bluetooth
+app.get('/api/device-profiles', (req, res) => {
+  res.json({ ok: true, profiles: deviceProfiles.PROFILES });
+});
+
+// GET /api/device-profiles/:id - One model's profile
+app.get('/api/device-profiles/:id', (req, res) => {
+  const profile = deviceProfiles.findById(req.params.id);
+  if (!profile) return res.status(404).json({ ok: false, error: 'Unknown device model' });
+  res.json({ ok: true, profile });
+});
+
+// GET /api/firmware/manifest - Every device with its releases and latest per channel
+app.get('/api/firmware/manifest', requireUser, async (req, res) => {
+  try {
+    const manifest = await catalog.buildManifest(FIRMWARE_DIR);
+    manifest.devices = await Promise.all(manifest.devices.map(async entry => {
+      const pin = await getPin(entry.device);
+      const releases = entry.releases.filter(release => rollout.isVisibleTo(release, req.user, pin));
+      return {
+        ...entry,
+        current: pin ? pin.filename : null,
+        latest: Object.fromEntries(Object.keys(entry.latest).map(channel => [channel, catalog.latestRelease(releases, channel)?.version || null])),
+        releases: releases.map(release => withDownloadUrl(req, rollout.releaseForUser(release, req.user)))
+      };
+    }));
+    res.json({ ok: true, ...manifest });
+  } catch (error) {
+    console.error('Error building firmware manifest:', error);
+    res.status(500).json({ ok: false, error: 'Failed to build firmware manifest' });
+  }
+});
+
+// GET /api/firmware/:device/latest?channel=stable - Latest release for one device
+app.get('/api/firmware/:device/latest', requireUser, async (req, res) => {
+  try {
+    const device = req.params.device;
+    const channel = String(req.query.channel || catalog.DEFAULT_CHANNEL).toLowerCase();
+
+    if (safePath.directoryNameError(device)) {
+      return res.status(400).json({ ok: false, error: 'Invalid device name' });
+    }
+    if (!catalog.CHANNELS.includes(channel)) {
+      return res.status(400).json({ ok: false, error: `Channel must be one of: ${catalog.CHANNELS.join(', ')}` });
+    }
+
+    firmwarePath(device); // refuses a device directory symlinked out of the tree
+    const pin = await getPin(device);
+    const releases = (await catalog.listReleases(FIRMWARE_DIR, device))
+      .filter(release => rollout.isVisibleTo(release, req.user, pin));
+    const release = catalog.latestRelease(releases, channel);
+
+    if (!release) {
+      return res.status(404).json({ ok: false, error: `No ${channel} release found for ${device}` });
+    }
+
+    res.json({ ok: true, channel, release: withDownloadUrl(req, rollout.releaseForUser(release, req.user)) });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error reading latest firmware:', error);
+    res.status(500).json({ ok: false, error: 'Failed to read latest firmware' });
+  }
+});
+
+/* ============================================
+   STAGED ROLLOUTS
+   Channel and rollout per release, a pinned
+   "current" release per device model, and the
+   release each user is recommended.
+   ============================================ */
+
+// GET /api/firmware/:device/recommended?channel=stable - What this user should install
+app.get('/api/firmware/:device/recommended', requireUser, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device } = req.params;
+    const channel = String(req.query.channel || catalog.DEFAULT_CHANNEL).toLowerCase();
+
+    const releases = await catalog.listReleases(FIRMWARE_DIR, device);
+    const { release, reason } = rollout.recommendRelease(releases, req.user, { channel, pin: await getPin(device) });
+
+    if (!release) {
+      return res.status(404).json({ ok: false, error: `No release available for ${device}` });
+    }
+
+    res.json({ ok: true, reason, release: withDownloadUrl(req, rollout.releaseForUser(release, req.user)) });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error recommending firmware:', error);
+    res.status(500).json({ ok: false, error: 'Failed to pick a firmware release' });
+  }
+});
+
+// PUT /api/firmware/:device/releases/:filename - Change channel and/or rollout
+// Body: { channel?, rolloutPercentage?, allowList? }
+app.put('/api/firmware/:device/releases/:filename', requireAdmin, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device, filename } = req.params;
+    const dirPath = firmwarePath(device);
+
+    if (!fsSync.existsSync(firmwarePath(device, filename))) {
+      return res.status(404).json({ ok: false, error: 'Release not found' });
+    }
+
+    const meta = await catalog.readReleaseMeta(dirPath, filename);
+    const body = req.body || {};
+
+    if (body.channel !== undefined) {
+      const channel = String(body.channel).trim().toLowerCase();
+      if (!catalog.CHANNELS.includes(channel)) {
+        return res.status(400).json({ ok: false, error: `Channel must be one of: ${catalog.CHANNELS.join(', ')}` });
+      }
+      const pin = await getPin(device);
+      if (channel === 'draft' && pin && pin.filename === filename) {
+        return res.status(400).json({ ok: false, error: 'Unpin this release before moving it back to draft' });
+      }
+      meta.channel = channel;
+    }
+
+    if (body.rolloutPercentage !== undefined || body.allowList !== undefined) {
+      const current = rollout.normalizeRollout(meta.rollout);
+      const { error, rollout: next } = rollout.parseRollout({
+        percentage: body.rolloutPercentage !== undefined ? body.rolloutPercentage : current.percentage,
+        allowList: body.allowList !== undefined ? body.allowList : current.allowList
+      });
+      if (error) {
+        return res.status(400).json({ ok: false, error });
+      }
+      meta.rollout = next;
+    }
+
+    await catalog.writeReleaseMeta(dirPath, filename, meta);
+    const release = await catalog.describeRelease(dirPath, device, filename);
+
+    console.log(`✓ ${req.user.email} set ${device}/${filename} to ${release.channel}, ${release.rollout.percentage}% + ${release.rollout.allowList.length} allow-listed`);
+    res.json({ ok: true, release });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error updating release:', error);
+    res.status(500).json({ ok: false, error: 'Failed to update release' });
+  }
+});
+
+// GET /api/firmware/:device/current - The pinned release and pin history
+app.get('/api/firmware/:device/current', requireAdmin, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    res.json({ ok: true, pin: await getPin(req.params.device) });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error reading pinned release:', error);
+    res.status(500).json({ ok: false, error: 'Failed to read pinned release' });
+  }
+});
+
+// PUT /api/firmware/:device/current - Pin a release as current for everyone. Body: { filename }
+app.put('/api/firmware/:device/current', requireAdmin, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device } = req.params;
+    const filename = req.body?.filename;
+
+    if (safePath.fileNameError(filename)) {
+      return res.status(400).json({ ok: false, error: 'Invalid file name' });
+    }
+    if (!fsSync.existsSync(firmwarePath(device, filename))) {
+      return res.status(404).json({ ok: false, error: 'Release not found' });
+    }
+
+    const release = await catalog.describeRelease(firmwarePath(device), device, filename);
+    if (release.channel === 'draft') {
+      return res.status(400).json({ ok: false, error: 'Draft releases cannot be pinned. Move it to beta or stable first.' });
+    }
+
+    const pin = await setPin(device, filename, req.user.email);
+    console.log(`✓ ${req.user.email} pinned ${device} to ${filename} (v${release.version})`);
+    res.json({ ok: true, pin });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error pinning release:', error);
+    res.status(500).json({ ok: false, error: 'Failed to pin release' });
+  }
 });
+
+// DELETE /api/firmware/:device/current - Unpin; users get their rollout again
+app.delete('/api/firmware/:device/current', requireAdmin, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    await store.delete('firmwarePins', req.params.device);
+    console.log(`✓ ${req.user.email} unpinned ${req.params.device}`);
+    res.json({ ok: true, pin: null });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error unpinning release:', error);
+    res.status(500).json({ ok: false, error: 'Failed to unpin release' });
+  }
+});
+
+// POST /api/firmware/:device/current/rollback - Pin the previously pinned release, or
+// without pin history, the newest stable release older than the current one
+app.post('/api/firmware/:device/current/rollback', requireAdmin, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device } = req.params;
+
+    const releases = await catalog.listReleases(FIRMWARE_DIR, device);
+    const pin = await getPin(device);
+    const exists = filename => releases.some(release => release.filename === filename && release.channel !== 'draft');
+
+    let target = [...(pin?.history || [])].reverse().find(entry => exists(entry.filename) && entry.filename !== pin.filename)?.filename;
+    if (!target) {
+      const current = (pin && releases.find(release => release.filename === pin.filename)) ||
+        catalog.latestRelease(releases, 'stable');
+      target = current && releases
+        .filter(release => release.channel === 'stable' && catalog.isValidVersion(release.version) &&
+          catalog.compareVersions(release.version, current.version) < 0)
+        .sort((a, b) => catalog.compareVersions(b.version, a.version))[0]?.filename;
+    }
+
+    if (!target) {
+      return res.status(400).json({ ok: false, error: 'No earlier release to roll back to' });
+    }
+
+    const nextPin = await setPin(device, target, req.user.email, { rollback: true });
+    console.log(`✓ ${req.user.email} rolled ${device} back to ${target}`);
+    res.json({ ok: true, pin: nextPin });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error rolling back release:', error);
+    res.status(500).json({ ok: false, error: 'Failed to roll back release' });
+  }
+});
+
+/* ============================================
+   COMPATIBILITY OVERRIDES
+   An admin lets one user flash a release that
+   breaks the compatibility rules
+   (firmware-compat.js). Single use, time-limited.
+   ============================================ */
+const OVERRIDE_MAX_HOURS = 168;
+
+function overrideView(record) {
+  const { key, ...override } = record;
+  return { id: key, ...override };
+}
+
+// GET /api/firmware/:device/overrides - Admins: every open override for the device.
+// Users: their own unused ones.
+app.get('/api/firmware/:device/overrides', requireUser, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device } = req.params;
+    const isAdmin = req.user.role === 'admin';
+    const overrides = await store.list('firmwareOverrides', override =>
+      override.device === device && (isAdmin || (override.email === req.user.email && !override.usedAt)));
+    overrides.sort((a, b) => b.grantedAt.localeCompare(a.grantedAt));
+    res.json({ ok: true, overrides: overrides.map(overrideView) });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error listing overrides:', error);
+    res.status(500).json({ ok: false, error: 'Failed to list overrides' });
+  }
+});
+
+// POST /api/firmware/:device/overrides - Grant an override.
+// Body: { email, reason, hours? (default 24), filename? }
+app.post('/api/firmware/:device/overrides', requireAdmin, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device } = req.params;
+    const body = req.body || {};
+    const email = String(body.email || '').trim().toLowerCase();
+    const reason = String(body.reason || '').trim();
+    const hours = body.hours === undefined || body.hours === '' ? 24 : Number(body.hours);
+    const filename = String(body.filename || '').trim() || null;
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ ok: false, error: 'A valid email is required' });
+    }
+    if (!reason || reason.length > 500) {
+      return res.status(400).json({ ok: false, error: 'A reason (up to 500 characters) is required' });
+    }
+    if (!Number.isInteger(hours) || hours < 1 || hours > OVERRIDE_MAX_HOURS) {
+      return res.status(400).json({ ok: false, error: `Hours must be a whole number from 1 to ${OVERRIDE_MAX_HOURS}` });
+    }
+    if (filename) {
+      if (safePath.fileNameError(filename)) {
+        return res.status(400).json({ ok: false, error: 'Invalid file name' });
+      }
+      if (!fsSync.existsSync(firmwarePath(device, filename))) {
+        return res.status(404).json({ ok: false, error: 'Release not found' });
+      }
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const override = {
+      device,
+      email,
+      filename,
+      reason,
+      grantedBy: req.user.email,
+      grantedAt: new Date().toISOString(),
+      expiresAt: Date.now() + hours * 3600 * 1000,
+      usedAt: null
+    };
+    await store.set('firmwareOverrides', id, override);
+
+    console.log(`✓ ${req.user.email} granted ${email} a compatibility override for ${device}${filename ? `/${filename}` : ''} (${hours} h)`);
+    res.json({ ok: true, override: { id, ...override } });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error granting override:', error);
+    res.status(500).json({ ok: false, error: 'Failed to grant override' });
+  }
+});
+
+// DELETE /api/firmware/:device/overrides/:id - Revoke an override
+app.delete('/api/firmware/:device/overrides/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device, id } = req.params;
+    const override = /^[0-9a-f]{12}$/.test(id) && await store.get('firmwareOverrides', id);
+    if (!override || override.device !== device) {
+      return res.status(404).json({ ok: false, error: 'Override not found' });
+    }
+    await store.delete('firmwareOverrides', id);
+    console.log(`✓ ${req.user.email} revoked override ${id} for ${override.email}`);
+    res.json({ ok: true });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error revoking override:', error);
+    res.status(500).json({ ok: false, error: 'Failed to revoke override' });
+  }
+});
+
+// POST /api/firmware/:device/overrides/:id/use - Redeem an override right before flashing.
+// Body: { filename }. Fails unless it covers this release.
+app.post('/api/firmware/:device/overrides/:id/use', requireUser, async (req, res) => {
+  try {
+    if (!validFirmwareParams(req, res)) return;
+    const { device, id } = req.params;
+    const filename = String(req.body?.filename || '');
+    if (!/^[0-9a-f]{12}$/.test(id) || safePath.fileNameError(filename)) {
+      return res.status(400).json({ ok: false, error: 'Invalid override or file name' });
+    }
+
+    let problem = null;
+    const used = await store.update('firmwareOverrides', id, override => {
+      if (!override || override.device !== device || override.email !== req.user.email) {
+        problem = 'Override not found';
+        return override;
+      }
+      if (!compat.overrideCovers(override, { filename })) {
+        problem = override.usedAt ? 'Override has already been used' : 'Override does not cover this release';
+        return override;
+      }
+      return { ...override, usedAt: new Date().toISOString(), usedFor: { filename } };
+    });
+    if (problem) {
+      return res.status(problem === 'Override not found' ? 404 : 409).json({ ok: false, error: problem });
+    }
+
+    console.log(`✓ ${req.user.email} used override ${id} to flash ${device}/${filename}`);
+    res.json({ ok: true, override: { id, ...used } });
+  } catch (error) {
+    if (rejectUnsafePath(res, error)) return;
+    console.error('Error using override:', error);
+    res.status(500).json({ ok: false, error: 'Failed to use override' });
+  }
+});
+
+/* ============================================
+   UPDATE HISTORY AND FLEET
+   The update page reports every attempt; the
+   fleet is the last-known state of each unit,
+   keyed by its Bluetooth name (TPWT-...), the
+   one thing the page knows a unit by until the
+   Settings record yields a serial number
+   ============================================ */
+const UPDATE_OUTCOMES = ['confirmed', 'failed'];
+const UPDATE_HISTORY_DAYS = 365;
+const UPDATE_LOG_MAX_CHARS = 8000;
+
+// Optional short text field from an update report; null when missing
+function reportText(value, max) {
+  if (value === undefined || value === null || value === '') return null;
+  return String(value).trim().slice(0, max) || null;
+}
+
+// Validates an update report. Returns { attempt } or { error }.
+function parseUpdateReport(body) {
+  const id = String(body.id || '');
+  if (!/^[A-Za-z0-9-]{8,64}$/.test(id)) return { error: 'A report id (8-64 letters, digits or hyphens) is required' };
+  if (!UPDATE_OUTCOMES.includes(body.outcome)) return { error: `Outcome must be one of ${UPDATE_OUTCOMES.join(', ')}` };
+  const device = String(body.device || '');
+  if (safePath.directoryNameError(device)) return { error: 'Invalid device name' };
+  const md5 = reportText(body.md5, 32);
+  if (md5 && !/^[0-9a-f]{32}$/i.test(md5)) return { error: 'Invalid MD5 checksum' };
+  const startedAt = new Date(body.startedAt);
+  if (isNaN(startedAt) || startedAt.getTime() > Date.now() + 60000) return { error: 'Invalid start time' };
+  const durationMs = Number(body.durationMs);
+  if (!Number.isFinite(durationMs) || durationMs < 0) return { error: 'Invalid duration' };
+
+  return {
+    attempt: {
+      id,
+      device,
+      deviceName: reportText(body.deviceName, 64),
+      model: reportText(body.model, 64),
+      fromVersion: reportText(body.fromVersion, 64),
+      toVersion: reportText(body.toVersion, 64),
+      filename: reportText(body.filename, 255),
+      md5: md5 && md5.toLowerCase(),
+      startedAt: startedAt.toISOString(),
+      durationMs: Math.round(durationMs),
+      outcome: body.outcome,
+      errorCode: reportText(body.errorCode, 32),
+      failedState: reportText(body.failedState, 32),
+      sessionId: sessionLogs.normalizeSessionId(body.sessionId),
+      error: reportText(body.error, 1000),
+      // Keep the end of the log: that's where a failure shows
+      log: body.log ? String(body.log).slice(-UPDATE_LOG_MAX_CHARS) : null
+    }
+  };
+}
+
+// POST /api/updates - Record an update attempt. Reports carry a client-chosen id, so
+// sending the same report again (e.g. a retry after a dropped connection) is harmless.
+app.post('/api/updates', requireUser, async (req, res) => {
+  try {
+    const { attempt, error } = parseUpdateReport(req.body || {});
+    if (error) return res.status(400).json({ ok: false, error });
+    const { id, ...fields } = attempt;
+
+    let duplicate = false;
+    await historyStore.update('updates', id, existing => {
+      if (existing) {
+        duplicate = true;
+        return existing;
+      }
+      return {
+        ...fields,
+        email: req.user.email,
+        recordedAt: new Date().toISOString(),
+        expiresAt: Date.now() + UPDATE_HISTORY_DAYS * 24 * 3600 * 1000
+      };
+    });
+    if (duplicate) return res.json({ ok: true, id, duplicate: true });
+
+    if (attempt.deviceName) {
+      await historyStore.update('fleet', attempt.deviceName, unit => {
+        const updates = (unit?.updates || 0) + 1;
+        // Reports can arrive late; only a newer attempt changes the last-known state
+        if (unit && unit.lastUpdateAt > attempt.startedAt) return { ...unit, updates };
+        return {
+          device: attempt.device,
+          model: attempt.model || unit?.model || null,
+          firmwareVersion: attempt.outcome === 'confirmed' ? attempt.toVersion
+            : attempt.fromVersion || unit?.firmwareVersion || null,
+          lastUpdateAt: attempt.startedAt,
+          lastUpdateId: id,
+          lastOutcome: attempt.outcome,
+          lastUser: req.user.email,
+          updates
+        };
+      });
+    }
+
+    const icon = attempt.outcome === 'confirmed' ? '✓' : '❌';
+    console.log(`${icon} ${req.user.email} updated ${attempt.deviceName || 'an unnamed unit'} (${attempt.device}) ${attempt.fromVersion || '?'} → ${attempt.toVersion || '?'}: ${attempt.outcome}${attempt.errorCode ? ` (${attempt.errorCode})` : ''}`);
+    res.json({ ok: true, id });
+  } catch (error) {
+    console.error('Error recording update:', error);
+    res.status(500).json({ ok: false, error: 'Failed to record update' });
+  }
+});
+
+// GET /api/updates - Update history, newest first. Admins see everyone's and may filter
+// by ?name= (Bluetooth name), ?email=, ?device=, ?outcome=; users see their own. ?limit= (default 100).
+app.get('/api/updates', requireUser, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const { name, device, outcome } = req.query;
+    const email = isAdmin ? req.query.email : req.user.email;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+
+    const updates = await historyStore.list('updates', update =>
+      (!name || update.deviceName === name) &&
+      (!email || update.email === String(email).toLowerCase()) &&
+      (!device || update.device === device) &&
+      (!outcome || update.outcome === outcome));
+    updates.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+    res.json({
+      ok: true,
+      total: updates.length,
+      updates: updates.slice(0, limit).map(({ key, expiresAt, ...update }) => ({ id: key, ...update }))
+    });
+  } catch (error) {
+    console.error('Error listing updates:', error);
+    res.status(500).json({ ok: false, error: 'Failed to list updates' });
+  }
+});
+
+// GET /api/fleet - Every unit that has reported an update, with its last-known firmware.
+// ?device= limits it to one firmware directory.
+app.get('/api/fleet', requireAdmin, async (req, res) => {
+  try {
+    const { device } = req.query;
+    const units = await historyStore.list('fleet', unit => !device || unit.device === device);
+    units.sort((a, b) => b.lastUpdateAt.localeCompare(a.lastUpdateAt));
+    res.json({ ok: true, devices: units.map(({ key, ...unit }) => ({ deviceName: key, ...unit })) });
+  } catch (error) {
+    console.error('Error listing fleet:', error);
+    res.status(500).json({ ok: false, error: 'Failed to list fleet' });
+  }
+});
+
+/* ============================================
+   OTA SESSION LOGS
+   Users upload the structured log of an update
+   session (ota-session-log.js); support looks it
+   up by the short ID on the failure message.
+   The log itself is a file; the history store
+   holds who uploaded it and when it expires.
+   ============================================ */
+const SESSION_LOG_DIR = path.join(DATA_DIR, 'session-logs');
+const SESSION_LOG_DAYS = 90;
+
+function sessionLogPath(id) {
+  return path.join(SESSION_LOG_DIR, `${id}.json`);
+}
+
+// Removes log files whose store record has expired. The directory is read first: a log's
+// record is stored before its file is written, so a file seen here is never newer than
+// the records listed after it.
+async function pruneSessionLogFiles() {
+  const files = await fsPromises.readdir(SESSION_LOG_DIR).catch(() => []);
+  const kept = new Set((await historyStore.list('sessionLogs')).map(record => record.key));
+  for (const file of files) {
+    if (!kept.has(path.basename(file, '.json'))) {
+      await fsPromises.unlink(path.join(SESSION_LOG_DIR, file)).catch(() => {});
+    }
+  }
+}
+
+// POST /api/session-logs - Upload a session log. Uploading the same session again
+// replaces it (e.g. after more events); someone else's session ID is refused.
+app.post('/api/session-logs', requireUser, async (req, res) => {
+  try {
+    const log = req.body;
+    const problem = sessionLogs.validateSessionLog(log);
+    if (problem) return res.status(400).json({ ok: false, error: problem });
+
+    let taken = false;
+    await historyStore.update('sessionLogs', log.id, existing => {
+      if (existing && existing.email !== req.user.email) {
+        taken = true;
+        return existing;
+      }
+      return {
+        email: req.user.email,
+        uploadedAt: new Date().toISOString(),
+        startedAt: log.startedAt,
+        outcome: log.outcome || null,
+        deviceName: log.device?.name || null,
+        expiresAt: Date.now() + SESSION_LOG_DAYS * 24 * 3600 * 1000
+      };
+    });
+    if (taken) return res.status(409).json({ ok: false, error: 'Session ID already in use' });
+
+    await fsPromises.mkdir(SESSION_LOG_DIR, { recursive: true });
+    await fsPromises.writeFile(sessionLogPath(log.id), JSON.stringify(log));
+    await pruneSessionLogFiles();
+
+    console.log(`✓ ${req.user.email} uploaded OTA session log ${sessionLogs.formatSessionId(log.id)} (${log.outcome || 'unfinished'}, ${log.events.length} events)`);
+    res.json({ ok: true, id: log.id });
+  } catch (error) {
+    console.error('Error saving session log:', error);
+    res.status(500).json({ ok: false, error: 'Failed to save session log' });
+  }
+});
+
+// GET /api/session-logs/:id - A session log, for admins and its uploader. Accepts the ID
+// as typed ("k7q2-m9xd"). ?format=text returns the plain-text rendering.
+app.get('/api/session-logs/:id', requireUser, async (req, res) => {
+  try {
+    const id = sessionLogs.normalizeSessionId(req.params.id);
+    if (!id) return res.status(400).json({ ok: false, error: 'Invalid session ID' });
+
+    const meta = await historyStore.get('sessionLogs', id);
+    if (!meta || (req.user.role !== 'admin' && meta.email !== req.user.email)) {
+      return res.status(404).json({ ok: false, error: 'Session log not found' });
+    }
+    let log;
+    try {
+      log = JSON.parse(await fsPromises.readFile(sessionLogPath(id), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return res.status(404).json({ ok: false, error: 'Session log not found' });
+    }
+
+    if (req.query.format === 'text') {
+      res.type('text/plain').send(sessionLogs.formatText(log));
+    } else {
+      const { expiresAt, ...info } = meta;
+      res.json({ ok: true, uploadedBy: info.email, uploadedAt: info.uploadedAt, log });
+    }
+  } catch (error) {
+    console.error('Error reading session log:', error);
+    res.status(500).json({ ok: false, error: 'Failed to read session log' });
+  }
+});
+
+// Upload and body parsing errors (non-.bin file, oversized upload, malformed JSON)
+// as JSON instead of Express's HTML error page
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const status = error instanceof multer.MulterError || error.message === 'Only .bin files are allowed' ? 400
+    : error.status || 500;
+  if (status >= 500) console.error('❌ Unhandled error:', error);
+  res.status(status).json({ ok: false, error: status >= 500 ? 'Internal server error' : error.message });
+});
+
+/* ------------- start ------------- */
+seedAdmins()
+  .then(migrateHistory)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`▶ 2FA server running on http://localhost:${PORT}`);
+      console.log(`   CORS enabled.`);
+    });
+  })
+  .catch(error => {
+    console.error('❌ Failed to initialise user store:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,76 @@
+// service-worker.js - Lets the firmware update page open without a connection
+// Registered by update.html. Keeps the pages it links to (the sign-in page auth-check.js
+// sends to, the model list) and their scripts in a cache and serves
+// them from there when the network is unreachable (network first, so a deploy shows up
+// as soon as there is signal). API calls and firmware downloads are never cached here:
+// the page keeps the releases a technician saved itself (offline-store.js).
+
+const SHELL_CACHE = 'teamplus-shell-v4';
+const SHELL_FILES = [
+  'index.html',
+  'firmware.html',
+  'update.html',
+  'auth-check.js',
+  'firmware-signature.js',
+  'device-profiles.js',
+  'device-settings.js',
+  'firmware-versions.js',
+  'firmware-compat.js',
+  'ota-protocol.js',
+  'ota-session-log.js',
+  'offline-store.js',
+  'manifest.webmanifest',
+  'icon.svg'
+];
+// Loaded from a CDN by the page; cached as an opaque response
+const CDN_FILES = ['https://cdnjs.cloudflare.com/ajax/libs/crypto-js/4.1.1/crypto-js.min.js'];
+const PASS_THROUGH = /^\/(api|auth|firmware)\//;
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+    await Promise.all(CDN_FILES.map(async url => {
+      try {
+        await cache.put(url, await fetch(url, { mode: 'no-cors' }));
+      } catch (error) {
+        console.warn(`Could not cache ${url}:`, error);
+      }
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+// Drops shell caches of older versions; the firmware cache belongs to the page
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('teamplus-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+  if (sameOrigin ? PASS_THROUGH.test(url.pathname) : !CDN_FILES.includes(request.url)) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+      const response = await fetch(request);
+      if (sameOrigin && response.ok && SHELL_FILES.some(file => url.pathname.endsWith(`/${file}`))) {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    } catch (error) {
+      const cached = await cache.match(request, { ignoreSearch: true });
+      if (cached) return cached;
+      throw error;
+    }
+  })());
+});
@@ -0,0 +1,198 @@
+// store.js - Persistent storage for users, verification codes, sessions and revocations
+// Records live in named collections (users, codes, sessions, refreshTokens, revocations, ...)
+// keyed by string. A record with an `expiresAt` (ms timestamp) in the past is treated as
+// missing and pruned on the next write.
+//
+// Backends:
+//   file   (default) one JSON file, guarded by a lock file so several server processes
+//          can share it, written atomically (temp file + rename)
+//   memory process-local, lost on restart (handy for development)
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '.data', 'store.json');
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function isExpired(record, now = Date.now()) {
+  return !!(record && record.expiresAt && record.expiresAt <= now);
+}
+
+function pruneExpired(data) {
+  const now = Date.now();
+  for (const collection of Object.values(data)) {
+    for (const [key, record] of Object.entries(collection)) {
+      if (isExpired(record, now)) delete collection[key];
+    }
+  }
+}
+
+/* ---------------- base store ---------------- */
+// Backends implement _transaction(fn), where fn receives the full data object
+// ({ [collection]: { [key]: record } }) and may mutate it.
+class BaseStore {
+  async get(collection, key) {
+    return this._transaction(data => {
+      const record = data[collection]?.[key];
+      return isExpired(record) ? undefined : record;
+    }, false);
+  }
+
+  async set(collection, key, record) {
+    return this._transaction(data => {
+      data[collection] = data[collection] || {};
+      data[collection][key] = record;
+      return record;
+    });
+  }
+
+  async delete(collection, key) {
+    return this._transaction(data => {
+      if (data[collection]) delete data[collection][key];
+    });
+  }
+
+  // Atomic read-modify-write. fn receives the current record (or undefined) and
+  // returns the new record, or undefined to delete it.
+  async update(collection, key, fn) {
+    return this._transaction(data => {
+      data[collection] = data[collection] || {};
+      const current = data[collection][key];
+      const next = fn(isExpired(current) ? undefined : current);
+      if (next === undefined) {
+        delete data[collection][key];
+      } else {
+        data[collection][key] = next;
+      }
+      return next;
+    });
+  }
+
+  // Removes a whole collection in one write; returns its records ({ [key]: record })
+  async takeCollection(collection) {
+    return this._transaction(data => {
+      const records = data[collection] || {};
+      delete data[collection];
+      return records;
+    });
+  }
+
+  // Adds records ({ [key]: record }) in one write; a key already there keeps its record
+  async mergeCollection(collection, records) {
+    return this._transaction(data => {
+      data[collection] = { ...records, ...data[collection] };
+    });
+  }
+
+  async list(collection, predicate = () => true) {
+    return this._transaction(data => {
+      return Object.entries(data[collection] || {})
+        .filter(([, record]) => !isExpired(record))
+        .filter(([key, record]) => predicate(record, key))
+        .map(([key, record]) => ({ key, ...record }));
+    }, false);
+  }
+}
+
+/* ---------------- memory backend ---------------- */
+class MemoryStore extends BaseStore {
+  constructor() {
+    super();
+    this.data = {};
+  }
+
+  async _transaction(fn, write = true) {
+    if (write) pruneExpired(this.data);
+    // Hand out copies so callers can't mutate stored records by accident
+    return structuredClone(fn(this.data));
+  }
+}
+
+/* ---------------- JSON file backend ---------------- */
+class JsonFileStore extends BaseStore {
+  constructor(filePath = DEFAULT_FILE) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.lockPath = `${this.filePath}.lock`;
+    this.queue = Promise.resolve();
+  }
+
+  async _read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  async _write(data) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async _lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      // Another process holds the lock; break it if its owner died mid-write
+      try {
+        const stats = await fs.stat(this.lockPath);
+        if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+          await fs.unlink(this.lockPath).catch(() => {});
+          continue;
+        }
+      } catch {
+        continue;
+      }
+
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for store lock ${this.lockPath}`);
+      await sleep(20);
+    }
+  }
+
+  async _transaction(fn, write = true) {
+    // Serialize within this process, then take the file lock for other processes
+    const run = this.queue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true, mode: 0o700 });
+      await this._lock();
+      try {
+        const data = await this._read();
+        const result = fn(data);
+        if (write) {
+          pruneExpired(data);
+          await this._write(data);
+        }
+        return result;
+      } finally {
+        await fs.unlink(this.lockPath).catch(() => {});
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+function createStore({ backend = 'file', file } = {}) {
+  switch (String(backend || 'file').toLowerCase()) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new JsonFileStore(file || DEFAULT_FILE);
+    default:
+      throw new Error(`Unknown store backend: ${backend}`);
+  }
+}
+
+module.exports = { createStore, MemoryStore, JsonFileStore };
@@ -0,0 +1,57 @@
+// admin-cli.test.js - The CLI's firmware commands resolve model ids to firmware directories
+// and refuse directories the server doesn't have
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { ROOT, ADMIN_EMAIL, startServer } = require('./helpers/server');
+
+const IMAGE = path.join(ROOT, 'wheelturtle.ino.bin');
+
+let server;
+let env;
+
+before(async () => {
+  server = await startServer();
+  const admin = await server.login(ADMIN_EMAIL);
+  env = {
+    PATH: process.env.PATH,
+    TEAMPLUS_SERVER: server.url,
+    TEAMPLUS_TOKEN: admin.token,
+    TEAMPLUS_CREDENTIALS: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'teamplus-cli-')), 'credentials.json')
+  };
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(path.dirname(env.TEAMPLUS_CREDENTIALS), { recursive: true, force: true });
+});
+
+// Runs the CLI with --json; resolves with { code, result }
+function cli(...args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, ['admin-cli.js', ...args, '--json'], { cwd: ROOT, env, timeout: 30000 }, (error, stdout) => {
+      resolve({ code: error ? error.code : 0, result: JSON.parse(stdout) });
+    });
+  });
+}
+
+test('a model id uploads into the model\'s firmware directory', async () => {
+  const { code, result } = await cli('firmware', 'upload', 'wheel-turtle-club', IMAGE, '--version', '1.0.0');
+  assert.equal(code, 0, JSON.stringify(result));
+  assert.equal(result.device, 'Wheel-Turtle-Club');
+  assert.ok(fs.existsSync(path.join(server.firmwareDir, 'Wheel-Turtle-Club', 'wheelturtle.ino.bin')));
+
+  const listed = await cli('firmware', 'list', 'wheel-turtle-club');
+  assert.equal(listed.code, 0);
+  assert.deepEqual(listed.result.files.map(file => file.name), ['wheelturtle.ino.bin']);
+});
+
+test('an unknown directory is refused instead of created', async () => {
+  const { code, result } = await cli('firmware', 'upload', 'wheel-turtle-clb', IMAGE, '--version', '1.0.0');
+  assert.equal(code, 4);
+  assert.match(result.error, /No firmware directory wheel-turtle-clb/);
+  assert.ok(!fs.existsSync(path.join(server.firmwareDir, 'wheel-turtle-clb')));
+});
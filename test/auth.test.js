@@ -0,0 +1,100 @@
+// auth.test.js - Roles come from the server-side registry, and only admin tokens reach
+// admin routes
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { ROOT, ADMIN_EMAIL, startServer } = require('./helpers/server');
+
+// Every route server.js guards with requireAdmin, with sample parameters filled in
+const ADMIN_ROUTES = [...fs.readFileSync(path.join(ROOT, 'server.js'), 'utf-8')
+  .matchAll(/app\.(get|post|put|delete)\('([^']+)',\s*requireAdmin\b/g)]
+  .map(([, method, route]) => ({
+    method: method.toUpperCase(),
+    path: route.replace(/:device/g, 'Wheel-Turtle-Club').replace(/:filename/g, 'wtc-1.0.0.bin').replace(/:\w+/g, 'x')
+  }));
+
+let server;
+let user;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  user = await server.login('someone@example.com');
+  admin = await server.login(ADMIN_EMAIL);
+});
+
+after(() => server.stop());
+
+test('an email that is not in ADMIN_EMAILS signs in as a user', () => {
+  assert.equal(user.role, 'user');
+  assert.equal(jwt.decode(user.token).role, 'user');
+});
+
+test('asking for the admin portal does not make a user an admin', async () => {
+  const res = await server.request('POST', '/auth/send-code', { body: { identifier: 'someone@example.com', portal: 'admin' } });
+  assert.equal(res.status, 403);
+  const again = await server.login('someone@example.com');
+  assert.equal(again.role, 'user');
+});
+
+test('a role in the request body is ignored', async () => {
+  await server.request('POST', '/auth/send-code', { body: { identifier: 'other@example.com', role: 'admin' } });
+  const session = await server.login('other@example.com');
+  assert.equal(session.role, 'user');
+});
+
+test('admins from ADMIN_EMAILS get the admin role', () => {
+  assert.equal(admin.role, 'admin');
+});
+
+test('the admin route list found the mutating routes', () => {
+  const found = ADMIN_ROUTES.map(route => `${route.method} ${route.path}`);
+  for (const route of ['POST /api/upload', 'DELETE /api/files', 'POST /api/directories', 'GET /api/fleet']) {
+    assert.ok(found.includes(route), `${route} missing from ${found.join(', ')}`);
+  }
+});
+
+test('a user token gets 403 on every admin route', async () => {
+  for (const route of ADMIN_ROUTES) {
+    const res = await server.request(route.method, route.path, { token: user.token, body: route.method === 'GET' ? undefined : {} });
+    assert.equal(res.status, 403, `${route.method} ${route.path} answered ${res.status}`);
+  }
+});
+
+test('admin routes without a token get 401', async () => {
+  for (const route of ADMIN_ROUTES) {
+    const res = await server.request(route.method, route.path);
+    assert.equal(res.status, 401, `${route.method} ${route.path} answered ${res.status}`);
+  }
+});
+
+test('forged and tampered tokens are rejected', async () => {
+  const claims = jwt.decode(user.token);
+  const [header, , signature] = user.token.split('.');
+  const adminClaims = { ...claims, role: 'admin' };
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  const forged = {
+    'wrong secret': jwt.sign(adminClaims, 'not-the-secret', { algorithm: 'HS256', keyid: 'primary' }),
+    'payload changed, signature kept': `${header}.${encode(adminClaims)}.${signature}`,
+    'alg none': `${encode({ alg: 'none', typ: 'JWT' })}.${encode(adminClaims)}.`,
+    'unknown key id': jwt.sign(adminClaims, 'test-secret', { algorithm: 'HS256', keyid: 'other' }),
+    'garbage': 'not.a.token'
+  };
+
+  for (const [label, token] of Object.entries(forged)) {
+    const adminRoute = await server.request('GET', '/api/fleet', { token });
+    assert.equal(adminRoute.status, 401, `${label}: admin route answered ${adminRoute.status}`);
+    const userRoute = await server.request('GET', '/api/directories', { token });
+    assert.equal(userRoute.status, 401, `${label}: user route answered ${userRoute.status}`);
+  }
+});
+
+test('a token stops working after logout', async () => {
+  const session = await server.login(ADMIN_EMAIL);
+  assert.equal((await server.request('GET', '/api/fleet', { token: session.token })).status, 200);
+  await server.request('POST', '/auth/logout', { token: session.token, body: {} });
+  assert.equal((await server.request('GET', '/api/fleet', { token: session.token })).status, 401);
+});
@@ -0,0 +1,32 @@
+// device-settings.test.js - Decoding the Settings record
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const DeviceSettings = require('../device-settings');
+
+test('unknown positions are kept as text, not named', () => {
+  const line = 'a,b,c,d,e,f,g,h,i,j,WheelTurtle CLUB,k,3.0.0,l';
+  const settings = DeviceSettings.parseSettings(line);
+  assert.deepEqual(settings.values, { model: 'WheelTurtle CLUB', firmwareVersion: '3.0.0' });
+  assert.deepEqual(settings.errors, []);
+  assert.equal(settings.parts.length, 14);
+  assert.equal(settings.parts[13], 'l');
+});
+
+test('trailing NULs and whitespace around values are ignored', () => {
+  const settings = DeviceSettings.parseSettings(',,,,,,,,,, WheelTurtle CLUB ,, v3.1 \0\0\0');
+  assert.equal(settings.values.model, 'WheelTurtle CLUB');
+  assert.equal(settings.values.firmwareVersion, 'v3.1');
+});
+
+test('a short or empty record reports what is missing', () => {
+  assert.deepEqual(DeviceSettings.parseSettings('1,2,3').errors, ['Model missing', 'Firmware missing']);
+  assert.deepEqual(DeviceSettings.parseSettings('').values, { model: null, firmwareVersion: null });
+  assert.deepEqual(DeviceSettings.parseSettings(',,,,,,,,,,WheelTurtle CLUB').errors, ['Firmware missing']);
+});
+
+test('formatSettings is the inverse of parseSettings', () => {
+  const values = { model: 'WheelTurtle CLUB', firmwareVersion: '3.1.0' };
+  const line = DeviceSettings.formatSettings(values);
+  assert.equal(line, ',,,,,,,,,,WheelTurtle CLUB,,3.1.0');
+  assert.deepEqual(DeviceSettings.parseSettings(line).values, values);
+});
@@ -0,0 +1,115 @@
+// downloads.test.js - Firmware images are only served through the authenticated download
+// route, with the same draft, rollout and pin rules as /api/files
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, ADMIN_EMAIL, startServer } = require('./helpers/server');
+
+const DEVICE = 'Wheel-Turtle-Club';
+const IMAGE = fs.readFileSync(path.join(ROOT, 'wheelturtle.ino.bin'));
+
+let server;
+let admin;
+let user;
+
+async function upload(filename, fields) {
+  const form = new FormData();
+  form.append('directory', DEVICE);
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  form.append('file', new Blob([IMAGE]), filename);
+  const res = await server.request('POST', '/api/upload', { token: admin.token, body: form });
+  assert.equal(res.status, 200, JSON.stringify(res.data));
+}
+
+function download(filename, token) {
+  return server.request('GET', `/firmware/${DEVICE}/${filename}`, { token });
+}
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login(ADMIN_EMAIL);
+  user = await server.login('rider@example.com');
+  await upload('wtc-1.0.0.bin', { version: '1.0.0', channel: 'stable' });
+  await upload('wtc-2.0.0.bin', { version: '2.0.0', channel: 'draft' });
+  await upload('wtc-1.1.0.bin', { version: '1.1.0', channel: 'stable', rolloutPercentage: '0' });
+});
+
+after(() => server.stop());
+
+async function listedFor(token) {
+  const res = await server.request('GET', `/api/files?directory=${DEVICE}`, { token });
+  return res.data.files.map(file => file.name);
+}
+
+test('a released image downloads for a signed-in user', async () => {
+  const res = await download('wtc-1.0.0.bin', user.token);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/octet-stream');
+});
+
+test('downloads need a token', async () => {
+  assert.equal((await download('wtc-1.0.0.bin')).status, 401);
+});
+
+test('a draft hidden from the listing does not download', async () => {
+  assert.ok(!(await listedFor(user.token)).includes('wtc-2.0.0.bin'));
+  assert.equal((await download('wtc-2.0.0.bin', user.token)).status, 404);
+  assert.equal((await download('wtc-2.0.0.bin', admin.token)).status, 200);
+});
+
+test('a release outside the user rollout does not download until it is pinned', async () => {
+  assert.ok(!(await listedFor(user.token)).includes('wtc-1.1.0.bin'));
+  assert.equal((await download('wtc-1.1.0.bin', user.token)).status, 404);
+
+  const pin = await server.request('PUT', `/api/firmware/${DEVICE}/current`, { token: admin.token, body: { filename: 'wtc-1.1.0.bin' } });
+  assert.equal(pin.status, 200);
+  assert.ok((await listedFor(user.token)).includes('wtc-1.1.0.bin'));
+  assert.equal((await download('wtc-1.1.0.bin', user.token)).status, 200);
+  await server.request('DELETE', `/api/firmware/${DEVICE}/current`, { token: admin.token });
+});
+
+test('every file the listing shows downloads, and nothing else does', async () => {
+  const listed = await listedFor(user.token);
+  for (const name of ['wtc-1.0.0.bin', 'wtc-1.1.0.bin', 'wtc-2.0.0.bin']) {
+    const res = await download(name, user.token);
+    assert.equal(res.status, listed.includes(name) ? 200 : 404, name);
+  }
+});
+
+test('the firmware tree is not reachable as static files', async () => {
+  for (const urlPath of [`/public/firmware/${DEVICE}/wtc-2.0.0.bin`, `/firmware/${DEVICE}/.metadata.json`, `/firmware/${DEVICE}/.meta`]) {
+    const res = await server.request('GET', urlPath);
+    assert.notEqual(res.status, 200, urlPath);
+  }
+  const meta = await server.request('GET', `/firmware/${DEVICE}/.metadata.json`, { token: user.token });
+  assert.equal(meta.status, 400);
+});
+
+// The helper keeps FIRMWARE_DIR outside the repository; this one sits where the default
+// public/firmware does, under the directory the pages are served from
+test('firmware under the page directory is not reachable as static files, however the path is spelled', async () => {
+  const firmwareDir = fs.mkdtempSync(path.join(ROOT, 'public', '.test-firmware-'));
+  const served = path.basename(firmwareDir);
+  const local = await startServer({ env: { FIRMWARE_DIR: firmwareDir } });
+  try {
+    const localAdmin = await local.login(ADMIN_EMAIL);
+    const form = new FormData();
+    form.append('directory', DEVICE);
+    form.append('version', '2.0.0');
+    form.append('channel', 'draft');
+    form.append('file', new Blob([IMAGE]), 'draft.bin');
+    assert.equal((await local.request('POST', '/api/upload', { token: localAdmin.token, body: form })).status, 200);
+
+    const file = `${served}/${DEVICE}/draft.bin`;
+    for (const urlPath of [`/public/${file}`, `/%70ublic/${file}`, `/public%2F${file}`, `/./public/${file}`,
+      `/public/${encodeURIComponent(file)}`, '/server.js', '/.env', '/package.json']) {
+      assert.equal((await local.request('GET', urlPath)).status, 404, urlPath);
+    }
+    assert.equal((await local.request('GET', '/update.html')).status, 200);
+    assert.equal((await local.request('GET', '/')).status, 200);
+  } finally {
+    await local.stop();
+    fs.rmSync(firmwareDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+// esp-image.test.js - Image target checks against the device profiles
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const espImage = require('../esp-image');
+const deviceProfiles = require('../device-profiles');
+const { ROOT } = require('./helpers/server');
+
+// The Wheel Turtle Club release in the repo: an Arduino build for ESP32-S3
+const wtcData = fs.readFileSync(path.join(ROOT, 'wheelturtle.ino.bin'));
+const wtcImage = espImage.parseAppImage(wtcData);
+
+function fakeImage(chip, projectName) {
+  return { chip, chipName: espImage.CHIP_NAMES[chip], app: { projectName } };
+}
+
+test('the Wheel Turtle Club image fits its own model', () => {
+  assert.equal(wtcImage.app.projectName, 'arduino-lib-builder');
+  assert.deepEqual(espImage.checkImageTarget(wtcImage, deviceProfiles.imageRulesFor('Wheel-Turtle-Club'), wtcData), []);
+});
+
+test('the Wheel Turtle Club image fits no other model', () => {
+  for (const profile of deviceProfiles.updatable()) {
+    if (profile.id === 'wheel-turtle-club') continue;
+    const problems = espImage.checkImageTarget(wtcImage, deviceProfiles.imageRulesFor(profile.firmwareDirectory), wtcData);
+    assert.notDeepEqual(problems, [], `accepted for ${profile.firmwareDirectory}`);
+  }
+});
+
+test('a generic Arduino build needs a matching chip and a marker', () => {
+  const rules = { chip: 'esp32s3', projectNames: ['wheelturtle'], markers: ['WheelTurtle CLUB'] };
+  const marked = Buffer.from('...Team Plus WheelTurtle CLUB...');
+  assert.deepEqual(espImage.checkImageTarget(fakeImage('esp32s3', 'arduino-lib-builder'), rules, marked), []);
+  assert.equal(espImage.checkImageTarget(fakeImage('esp32c3', 'arduino-lib-builder'), rules, marked).length, 1);
+  assert.equal(espImage.checkImageTarget(fakeImage('esp32s3', 'arduino-lib-builder'), { chip: null, projectNames: ['x'] }, marked).length, 1);
+});
+
+test('any other sketch for the same chip is refused', () => {
+  const rules = deviceProfiles.imageRulesFor('Wheel-Turtle-Club');
+  const problems = espImage.checkImageTarget(fakeImage('esp32s3', 'arduino-lib-builder'), rules, Buffer.from('Blink'));
+  assert.equal(problems.length, 1);
+  assert.match(problems[0], /contains none of its markers/);
+  const unmarked = { ...rules, markers: [] };
+  assert.equal(espImage.checkImageTarget(wtcImage, unmarked, wtcData).length, 1);
+});
+
+test('an image without a project name never fits', () => {
+  const rules = deviceProfiles.imageRulesFor('Wheel-Turtle-Club');
+  assert.deepEqual(espImage.checkImageTarget(fakeImage('esp32s3', ''), rules, wtcData), ['image has no project name; build with the device\'s project name']);
+  assert.equal(espImage.checkImageTarget(fakeImage('esp32', ''), deviceProfiles.imageRulesFor('Bench-Rig')).length, 1);
+});
+
+test('directories without a profile accept only their own project name', () => {
+  const rules = deviceProfiles.imageRulesFor('Bench-Rig');
+  assert.deepEqual(espImage.checkImageTarget(fakeImage('esp32', 'benchrig'), rules), []);
+  assert.equal(espImage.checkImageTarget(fakeImage('esp32', 'arduino-lib-builder'), rules).length, 1);
+  assert.equal(espImage.checkImageTarget(fakeImage('esp32', 'wheelturtlepro'), rules).length, 1);
+});
+
+test('a named project must match even when the chip does', () => {
+  const rules = deviceProfiles.imageRulesFor('Wheel-Turtle-Club');
+  assert.equal(espImage.checkImageTarget(fakeImage('esp32s3', 'braketurtlepro'), rules).length, 1);
+});
@@ -0,0 +1,46 @@
+// firmware-signature.test.js - The update page's check of a release against its signature
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createSigner } = require('../firmware-signing');
+const { verifyFirmware } = require('../firmware-signature');
+
+const { privateKey } = crypto.generateKeyPairSync('ed25519');
+const signer = createSigner({ key: privateKey.export({ type: 'pkcs8', format: 'pem' }) });
+const image = Buffer.from('firmware image bytes');
+
+function signedRelease() {
+  const release = {
+    device: 'Wheel-Turtle-Club',
+    filename: 'wheelturtle.ino.bin',
+    version: '1.4.0',
+    model: 'Wheel-Turtle-Club',
+    sizeBytes: image.length,
+    sha256: crypto.createHash('sha256').update(image).digest('hex')
+  };
+  release.signature = signer.sign(release);
+  return release;
+}
+
+test('a release as signed verifies', async () => {
+  const statement = await verifyFirmware(image, signedRelease(), signer.publicKeys());
+  assert.equal(statement.model, 'Wheel-Turtle-Club');
+});
+
+test('compatibility rules edited after signing are refused', async () => {
+  const edits = [
+    { model: 'Wheel-Turtle-PRO' },
+    { model: null },
+    { version: '9.0.0' }
+  ];
+  for (const edit of edits) {
+    const release = { ...signedRelease(), ...edit };
+    await assert.rejects(verifyFirmware(image, release, signer.publicKeys()),
+      new RegExp(`Release ${Object.keys(edit)[0]} does not match the signature`));
+  }
+});
+
+test('an image other than the signed one is refused', async () => {
+  await assert.rejects(verifyFirmware(Buffer.from('other image bytes!!'), signedRelease(), signer.publicKeys()),
+    /SHA-256|bytes/);
+});
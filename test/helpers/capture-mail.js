@@ -0,0 +1,13 @@
+// capture-mail.js - Preloaded into the server under test (node -r): replaces the SMTP
+// transport with one that prints each verification code to stdout, where
+// test/helpers/server.js picks it up instead of an inbox
+const nodemailer = require('nodemailer');
+
+nodemailer.createTransport = () => ({
+  verify: async () => true,
+  sendMail: async message => {
+    const code = String(message.text).match(/\b(\d{6})\b/)[1];
+    console.log(`TEST-MAIL ${message.to} ${code}`);
+    return { messageId: `test-${Date.now()}` };
+  }
+});
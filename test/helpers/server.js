@@ -0,0 +1,115 @@
+// server.js (test helper) - Starts server.js in a child process on a free port, with its
+// store, data and firmware directories in a temporary directory, and signs users in
+// through the real email-code flow
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ADMIN_EMAIL = 'admin@example.com';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function testSigningKey() {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  return privateKey.export({ type: 'pkcs8', format: 'pem' });
+}
+
+async function startServer({ env = {} } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamplus-test-'));
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const codes = new Map();
+  let output = '';
+
+  const child = spawn(process.execPath, ['-r', path.join(__dirname, 'capture-mail.js'), 'server.js'], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      JWT_SECRET: 'test-secret',
+      ADMIN_EMAILS: ADMIN_EMAIL,
+      VERIFY_COOLDOWN_SEC: '0',
+      FIRMWARE_SIGNING_KEY: testSigningKey(),
+      DATA_DIR: path.join(tmpDir, 'data'),
+      FIRMWARE_DIR: path.join(tmpDir, 'firmware'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', chunk => {
+    output += chunk;
+    for (const [, email, code] of String(chunk).matchAll(/TEST-MAIL (\S+) (\d{6})/g)) codes.set(email, code);
+  });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const exited = new Promise(resolve => child.on('exit', resolve));
+
+  async function request(method, urlPath, { token, body, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    const response = await fetch(url + urlPath, init);
+    const text = await response.text();
+    let data = null;
+    try { data = JSON.parse(text); } catch { data = text; }
+    return { status: response.status, data, headers: response.headers };
+  }
+
+  // Signs email in through send-code + verify-code; returns the verify-code answer
+  async function login(email) {
+    codes.delete(email);
+    const sent = await request('POST', '/auth/send-code', { body: { identifier: email } });
+    if (sent.status !== 200) throw new Error(`send-code ${sent.status}: ${JSON.stringify(sent.data)}`);
+    for (let i = 0; i < 100 && !codes.has(email); i++) await new Promise(r => setTimeout(r, 20));
+    const verified = await request('POST', '/auth/verify-code', { body: { identifier: email, code: codes.get(email) } });
+    if (verified.status !== 200) throw new Error(`verify-code ${verified.status}: ${JSON.stringify(verified.data)}`);
+    return verified.data;
+  }
+
+  async function stop() {
+    if (child.exitCode === null) child.kill();
+    await exited;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  // Ready once it answers; fail with its output if it exits or never does
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server exited:\n${output}`);
+    try {
+      await fetch(`${url}/api/device-profiles`);
+      break;
+    } catch {
+      if (Date.now() > deadline) {
+        await stop();
+        throw new Error(`server did not start:\n${output}`);
+      }
+      await new Promise(r => setTimeout(r, 50));
+    }
+  }
+
+  return { url, firmwareDir: path.join(tmpDir, 'firmware'), dataDir: path.join(tmpDir, 'data'), request, login, stop, output: () => output };
+}
+
+module.exports = { ROOT, ADMIN_EMAIL, startServer };
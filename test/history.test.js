@@ -0,0 +1,94 @@
+// history.test.js - Update history lives in its own store, not in the one auth reads
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ADMIN_EMAIL, startServer } = require('./helpers/server');
+
+function report(id, fields = {}) {
+  return {
+    id,
+    outcome: 'confirmed',
+    device: 'Wheel-Turtle-Club',
+    deviceName: 'TPWT-0001',
+    fromVersion: '1.0.0',
+    toVersion: '1.1.0',
+    startedAt: new Date().toISOString(),
+    durationMs: 42000,
+    log: 'x'.repeat(8000),
+    ...fields
+  };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+test('update reports and the fleet are written to history.json only', async () => {
+  const server = await startServer();
+  try {
+    const { token } = await server.login('rider@example.com');
+    const res = await server.request('POST', '/api/updates', { token, body: report('report-0001') });
+    assert.equal(res.status, 200, JSON.stringify(res.data));
+
+    const history = readJson(path.join(server.dataDir, 'history.json'));
+    assert.ok(history.updates['report-0001']);
+    assert.ok(history.fleet['TPWT-0001']);
+
+    const main = readJson(path.join(server.dataDir, 'store.json'));
+    assert.deepEqual(Object.keys(main).filter(c => ['updates', 'fleet', 'sessionLogs'].includes(c)), []);
+    assert.ok(fs.statSync(path.join(server.dataDir, 'store.json')).size < 4096);
+
+    const listed = await server.request('GET', '/api/updates', { token });
+    assert.deepEqual(listed.data.updates.map(update => update.id), ['report-0001']);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('the fleet lists each unit by its Bluetooth name, with its history', async () => {
+  const server = await startServer();
+  try {
+    const { token } = await server.login('rider@example.com');
+    const admin = await server.login(ADMIN_EMAIL);
+    await server.request('POST', '/api/updates', { token, body: report('report-0003', { toVersion: '1.2.0' }) });
+    await server.request('POST', '/api/updates', { token, body: report('report-0004', { deviceName: 'TPWT-0002' }) });
+    await server.request('POST', '/api/updates', { token, body: report('report-0005', { deviceName: undefined }) });
+
+    const fleet = await server.request('GET', '/api/fleet', { token: admin.token });
+    assert.deepEqual(fleet.data.devices.map(unit => [unit.deviceName, unit.firmwareVersion]).sort(),
+      [['TPWT-0001', '1.2.0'], ['TPWT-0002', '1.1.0']]);
+
+    const history = await server.request('GET', '/api/updates?name=TPWT-0001', { token: admin.token });
+    assert.deepEqual(history.data.updates.map(update => update.id), ['report-0003']);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('history left in the main store by an older server is moved on startup', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teamplus-history-'));
+  const old = report('report-0002', { email: 'rider@example.com', recordedAt: new Date().toISOString() });
+  delete old.id;
+  fs.writeFileSync(path.join(dataDir, 'store.json'), JSON.stringify({
+    users: {},
+    updates: { 'report-0002': old },
+    fleet: { 'TPWT-0001': { device: 'Wheel-Turtle-Club', lastUpdateAt: old.startedAt, updates: 1 } }
+  }));
+
+  const server = await startServer({ env: { DATA_DIR: dataDir } });
+  try {
+    const { token } = await server.login('rider@example.com');
+    const listed = await server.request('GET', '/api/updates', { token });
+    assert.deepEqual(listed.data.updates.map(update => update.id), ['report-0002']);
+
+    const main = readJson(path.join(dataDir, 'store.json'));
+    assert.equal(main.updates, undefined);
+    assert.equal(main.fleet, undefined);
+    assert.ok(readJson(path.join(dataDir, 'history.json')).fleet['TPWT-0001']);
+  } finally {
+    await server.stop();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,168 @@
+// ota-scenarios.test.js - ota-protocol.js against the simulated WheelTurtle (fake-wheelturtle.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const OtaProtocol = require('../ota-protocol');
+const DeviceSettings = require('../device-settings');
+const { SCENARIOS, EXPECTED, IMAGE_VERSION, FAST_TIMINGS, FakeWheelTurtle, runScenario } = require('../fake-wheelturtle');
+
+const FIRMWARE = crypto.randomBytes(64 * 1024);
+const MD5 = crypto.createHash('md5').update(FIRMWARE).digest('hex');
+const WTC_IMAGE = fs.readFileSync(path.join(__dirname, '..', 'wheelturtle.ino.bin'));
+
+// Each scenario with its own log, so a failure shows what the protocol did
+async function run(scenario, { firmware = FIRMWARE, ...options } = {}) {
+  const lines = [];
+  const states = [];
+  const outcome = await runScenario(scenario, firmware, {
+    onLog: line => lines.push(line),
+    onState: state => states.push(state),
+    ...options
+  });
+  return { ...outcome, lines, states, log: lines.join('\n') };
+}
+
+function commandNames(device) {
+  return device.commands.map(command => command.split(',')[0]);
+}
+
+function flashedMd5(device) {
+  assert.ok(device.flashed, 'device never accepted an image');
+  return crypto.createHash('md5').update(device.flashed).digest('hex');
+}
+
+test('ok: the image arrives intact, the device reboots into it and the update is confirmed', async () => {
+  const { outcome, device, stats, states, log } = await run('ok');
+  assert.equal(outcome, 'confirmed', log);
+  assert.equal(device.firmwareVersion, IMAGE_VERSION);
+  assert.equal(device.flashed.length, FIRMWARE.length);
+  assert.equal(flashedMd5(device), MD5);
+  assert.deepEqual(commandNames(device), ['STATUS', 'enter update mode', 'START', 'END']);
+  assert.deepEqual(states, ['entering-update', 'started', 'streaming', 'verifying', 'rebooting', 'confirmed']);
+  assert.equal(stats.writeMode, 'without-response');
+  assert.equal(stats.reconnects, 0);
+});
+
+test('ok with a real image: PROGRESS every 10 % keeps writes without response throughout', async () => {
+  const { outcome, device, stats, log } = await run('ok', { firmware: WTC_IMAGE });
+  assert.equal(outcome, 'confirmed', log);
+  assert.equal(stats.writeMode, 'without-response');
+  assert.equal(device.writes.withResponse, 0);
+  assert.doesNotMatch(log, /acknowledged writes/);
+  assert.ok(device.flashed.equals(WTC_IMAGE));
+});
+
+test('lost-progress: a stall is bridged with acknowledged writes, then writes go without response again', async () => {
+  const { outcome, device, stats, log } = await run('lost-progress');
+  assert.equal(outcome, 'confirmed', log);
+  assert.match(log, /acknowledged writes until it reports again/);
+  assert.doesNotMatch(log, /switching to acknowledged writes/);
+  assert.equal(stats.writeMode, 'without-response');
+  assert.ok(device.writes.withResponse > 0);
+  assert.ok(device.writes.withoutResponse > device.writes.withResponse);
+  assert.equal(flashedMd5(device), MD5);
+});
+
+test('disconnect: a dropped link is reconnected and the transfer resumes where the device stopped', async () => {
+  const { outcome, device, stats, log } = await run('disconnect');
+  assert.equal(outcome, 'confirmed', log);
+  assert.equal(stats.reconnects, 1);
+  const commands = commandNames(device);
+  assert.equal(commands.filter(c => c === 'START').length, 1, 'transfer was restarted instead of resumed');
+  assert.ok(commands.includes('RESUME'), commands.join(' → '));
+  assert.match(log, /Resuming transfer at byte [1-9]\d*/);
+  assert.equal(flashedMd5(device), MD5);
+});
+
+test('disconnect-legacy: firmware without RESUME restarts the transfer from byte 0', async () => {
+  const { outcome, device, log } = await run('disconnect-legacy');
+  assert.equal(outcome, 'confirmed', log);
+  assert.equal(commandNames(device).filter(c => c === 'START').length, 2);
+  assert.ok(!commandNames(device).includes('RESUME'));
+  assert.equal(flashedMd5(device), MD5);
+});
+
+test('reload: a partial transfer left by an earlier session is resumed', async () => {
+  const { outcome, device, log } = await run('reload');
+  assert.equal(outcome, 'confirmed', log);
+  assert.ok(!commandNames(device).includes('START'));
+  assert.match(log, new RegExp(`Resuming transfer at byte ${Math.floor(FIRMWARE.length * 0.4)}`));
+  assert.equal(flashedMd5(device), MD5);
+});
+
+test('md5-mismatch: the device FAIL reason is reported as DEVICE_REJECTED', async () => {
+  const { outcome, error, device } = await run('md5-mismatch');
+  assert.equal(outcome, 'DEVICE_REJECTED');
+  assert.match(error.message, /MD5 mismatch/);
+  assert.equal(error.state, 'verifying');
+  assert.equal(device.firmwareVersion, '1.0.0');
+});
+
+test('wrong-version: an image that does not boot is reported as VERSION_MISMATCH', async () => {
+  const { outcome, error } = await run('wrong-version');
+  assert.equal(outcome, 'VERSION_MISMATCH');
+  assert.match(error.message, /runs 1\.0\.0 after rebooting, expected 3\.1\.0/);
+  assert.equal(error.state, 'rebooting');
+});
+
+// The device boots into an image that reports reportedVersion; the release is expectedVersion
+async function flashReporting(reportedVersion, expectedVersion) {
+  const device = new FakeWheelTurtle({ imageVersion: reportedVersion });
+  try {
+    const result = await OtaProtocol.performOtaUpdate(device.transport(), FIRMWARE, {
+      md5: MD5,
+      expectedVersion,
+      readVersion: async transport => DeviceSettings.parseSettings(await transport.readSettings()).values.firmwareVersion,
+      ...FAST_TIMINGS
+    });
+    return result.state;
+  } catch (error) {
+    return error.code;
+  }
+}
+
+test('version check: versions that compare equal as semver confirm the update', async () => {
+  assert.equal(await flashReporting('3.1', '3.1.0'), 'confirmed');
+  assert.equal(await flashReporting('v3.1.0', '3.1'), 'confirmed');
+  assert.equal(await flashReporting('3.1', '3.1.1'), 'VERSION_MISMATCH');
+  assert.equal(await flashReporting('3.1.0-beta.1', '3.1.0'), 'VERSION_MISMATCH');
+});
+
+test('link-lost: a device that never comes back fails as DISCONNECTED', async () => {
+  const { outcome, error } = await run('link-lost');
+  assert.equal(outcome, 'DISCONNECTED');
+  assert.equal(error.state, 'streaming');
+});
+
+test('silent: no verification result after END times out', async () => {
+  const { outcome, error } = await run('silent');
+  assert.equal(outcome, 'TIMEOUT');
+  assert.equal(error.state, 'verifying');
+});
+
+test('no-ack: START that is never acknowledged times out before any data is sent', async () => {
+  const { outcome, error, device } = await run('no-ack');
+  assert.equal(outcome, 'TIMEOUT');
+  assert.equal(error.state, 'started');
+  assert.equal(device.receivedBytes, 0);
+});
+
+test('small-mtu: oversized writes step the chunk size down until the link takes them', async () => {
+  const { outcome, stats, device, log } = await run('small-mtu');
+  assert.equal(outcome, 'confirmed', log);
+  assert.equal(stats.chunkSize, 182);
+  assert.ok(device.writes.rejected > 0);
+  assert.equal(flashedMd5(device), MD5);
+});
+
+test('no-flow-control: a device without PROGRESS gets acknowledged writes', async () => {
+  const { outcome, stats, log } = await run('no-flow-control');
+  assert.equal(outcome, 'confirmed', log);
+  assert.equal(stats.writeMode, 'with-response');
+});
+
+test('every simulated scenario has an expected outcome', () => {
+  assert.deepEqual(Object.keys(EXPECTED).sort(), [...SCENARIOS].sort());
+});
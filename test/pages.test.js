@@ -0,0 +1,23 @@
+// pages.test.js - The Bluetooth pages never parse text as HTML: device messages, device
+// names and settings values reach the DOM through textContent or text nodes
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+for (const page of ['update.html']) {
+  test(`${page} only assigns fixed markup to innerHTML`, () => {
+    const lines = fs.readFileSync(path.join(ROOT, page), 'utf-8').split('\n');
+    lines.forEach((line, index) => {
+      const match = line.match(/\.(?:innerHTML|outerHTML)\s*(\+?=)\s*(.*)$/) || line.match(/insertAdjacentHTML\(\s*[^,]+,\s*(.*)$/);
+      if (!match) return;
+      const where = `${page}:${index + 1}: ${line.trim()}`;
+      const value = match[match.length - 1];
+      assert.notEqual(match[1], '+=', where);
+      assert.match(value, /^['"`]/, where);
+      assert.ok(!value.includes('${'), where);
+    });
+  });
+}
@@ -0,0 +1,162 @@
+// paths.test.js - Name fields on the firmware routes can't reach outside a release:
+// no traversal, no dotfiles (.meta, .metadata.json), no non-string names
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, ADMIN_EMAIL, startServer } = require('./helpers/server');
+
+const DEVICE = 'Wheel-Turtle-Club';
+const RELEASE = 'wtc-1.0.0.bin';
+const BAD_DIRECTORIES = ['..', '../Wheel-Turtle-Club', '.meta', '.', 'a/b', 'a\\b', '%2e%2e', '', 42, ['Wheel-Turtle-Club'], { a: 1 }];
+const BAD_FILES = ['.metadata.json', '.meta', '../wtc-1.0.0.bin', '../../package.json', '..', 'x/../wtc-1.0.0.bin',
+  '.hidden.bin', 'wtc-1.0.0.bin\0.txt', 'store.json', 42, ['wtc-1.0.0.bin'], { name: 'x.bin' }, null];
+
+let server;
+let admin;
+let deviceDir;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login(ADMIN_EMAIL);
+  const form = new FormData();
+  form.append('directory', DEVICE);
+  form.append('version', '1.0.0');
+  form.append('file', new Blob([fs.readFileSync(path.join(ROOT, 'wheelturtle.ino.bin'))]), RELEASE);
+  const res = await server.request('POST', '/api/upload', { token: admin.token, body: form });
+  assert.equal(res.status, 200, JSON.stringify(res.data));
+  deviceDir = path.join(server.firmwareDir, DEVICE);
+  // A file next to the firmware tree that no route may touch
+  fs.writeFileSync(path.join(server.firmwareDir, '..', 'outside.bin'), 'outside');
+});
+
+after(() => server.stop());
+
+function assertTreeIntact() {
+  assert.ok(fs.existsSync(path.join(deviceDir, RELEASE)), 'release file is gone');
+  assert.ok(fs.existsSync(path.join(deviceDir, '.metadata.json')), '.metadata.json is gone');
+  assert.ok(fs.statSync(path.join(deviceDir, '.meta')).isDirectory(), '.meta is gone');
+  assert.ok(fs.existsSync(path.join(server.firmwareDir, '..', 'outside.bin')), 'file outside the tree is gone');
+}
+
+function call(method, urlPath, body) {
+  return server.request(method, urlPath, { token: admin.token, body });
+}
+
+test('DELETE /api/files refuses bad file names', async () => {
+  for (const filename of BAD_FILES) {
+    const res = await call('DELETE', '/api/files', { directory: DEVICE, filename });
+    assert.equal(res.status, 400, `filename ${JSON.stringify(filename)} answered ${res.status}`);
+  }
+  assertTreeIntact();
+});
+
+test('DELETE /api/files refuses bad directory names', async () => {
+  for (const directory of BAD_DIRECTORIES) {
+    const res = await call('DELETE', '/api/files', { directory, filename: RELEASE });
+    assert.equal(res.status, 400, `directory ${JSON.stringify(directory)} answered ${res.status}`);
+  }
+  assertTreeIntact();
+});
+
+test('PUT /api/files/rename refuses bad old and new names', async () => {
+  for (const name of BAD_FILES) {
+    const asOld = await call('PUT', '/api/files/rename', { directory: DEVICE, oldName: name, newName: 'x.bin' });
+    assert.equal(asOld.status, 400, `oldName ${JSON.stringify(name)} answered ${asOld.status}`);
+    const asNew = await call('PUT', '/api/files/rename', { directory: DEVICE, oldName: RELEASE, newName: name });
+    assert.equal(asNew.status, 400, `newName ${JSON.stringify(name)} answered ${asNew.status}`);
+  }
+  for (const directory of BAD_DIRECTORIES) {
+    const res = await call('PUT', '/api/files/rename', { directory, oldName: RELEASE, newName: 'x.bin' });
+    assert.equal(res.status, 400, `directory ${JSON.stringify(directory)} answered ${res.status}`);
+  }
+  assertTreeIntact();
+});
+
+test('the .meta directory cannot be renamed into a release', async () => {
+  const res = await call('PUT', '/api/files/rename', { directory: DEVICE, oldName: '.meta', newName: 'x.bin' });
+  assert.equal(res.status, 400);
+  assert.equal(fs.existsSync(path.join(deviceDir, 'x.bin')), false);
+});
+
+test('a directory named like a release is not a release', async () => {
+  fs.mkdirSync(path.join(deviceDir, 'folder.bin'));
+  const del = await call('DELETE', '/api/files', { directory: DEVICE, filename: 'folder.bin' });
+  assert.equal(del.status, 404);
+  const rename = await call('PUT', '/api/files/rename', { directory: DEVICE, oldName: 'folder.bin', newName: 'y.bin' });
+  assert.equal(rename.status, 404);
+  fs.rmdirSync(path.join(deviceDir, 'folder.bin'));
+});
+
+test('requests without a body are refused, not crashed on', async () => {
+  for (const [method, urlPath] of [['DELETE', '/api/files'], ['PUT', '/api/files/rename'], ['PUT', '/api/directories/rename']]) {
+    const res = await server.request(method, urlPath, { token: admin.token });
+    assert.equal(res.status, 400, `${method} ${urlPath} answered ${res.status}`);
+  }
+});
+
+test('PUT /api/directories/rename refuses bad names', async () => {
+  for (const name of BAD_DIRECTORIES) {
+    const asOld = await call('PUT', '/api/directories/rename', { oldName: name, newName: 'Renamed' });
+    assert.equal(asOld.status, 400, `oldName ${JSON.stringify(name)} answered ${asOld.status}`);
+    const asNew = await call('PUT', '/api/directories/rename', { oldName: DEVICE, newName: name });
+    assert.equal(asNew.status, 400, `newName ${JSON.stringify(name)} answered ${asNew.status}`);
+  }
+  assertTreeIntact();
+});
+
+test('encoded traversal in URL parameters is refused', async () => {
+  const attempts = [
+    ['DELETE', '/api/directories/%2e%2e'],
+    ['DELETE', '/api/directories/..%2F..%2Fdata'],
+    ['DELETE', '/api/directories/%252e%252e'],
+    ['DELETE', '/api/directories/.meta'],
+    ['GET', `/api/files?directory=${encodeURIComponent('../')}`],
+    ['GET', `/api/files?directory=${encodeURIComponent('.meta')}`],
+    ['PUT', `/api/firmware/${DEVICE}/releases/..%2F..%2Foutside.bin`],
+    ['PUT', `/api/firmware/${DEVICE}/releases/.metadata.json`],
+    ['PUT', '/api/firmware/%2e%2e/current'],
+    ['POST', '/api/firmware/..%2F/overrides']
+  ];
+  for (const [method, urlPath] of attempts) {
+    const res = await call(method, urlPath, method === 'GET' ? undefined : { channel: 'beta', filename: RELEASE });
+    assert.ok([400, 404].includes(res.status), `${method} ${urlPath} answered ${res.status}`);
+  }
+  assertTreeIntact();
+});
+
+function uploadAs(filename) {
+  const form = new FormData();
+  form.append('directory', DEVICE);
+  form.append('version', '1.0.1');
+  form.append('file', new Blob([fs.readFileSync(path.join(ROOT, 'wheelturtle.ino.bin'))]), filename);
+  return call('POST', '/api/upload', form);
+}
+
+test('uploads with dotfile names are refused', async () => {
+  for (const filename of ['.hidden.bin', '.metadata.json', '..bin']) {
+    const res = await uploadAs(filename);
+    assert.equal(res.status, 400, `${filename} answered ${res.status}`);
+  }
+  assertTreeIntact();
+});
+
+test('path parts in an upload file name never leave the device directory', async () => {
+  // The multipart parser keeps only the last path component; whatever it keeps must land inside
+  for (const filename of ['../escape.bin', '..\\escape.bin', '../../escape.bin']) {
+    const res = await uploadAs(filename);
+    if (res.status === 200) assert.equal(res.data.filename, 'escape.bin');
+    else assert.equal(res.status, 400);
+  }
+  assert.equal(fs.existsSync(path.join(server.firmwareDir, 'escape.bin')), false);
+  assert.equal(fs.existsSync(path.join(server.firmwareDir, '..', 'escape.bin')), false);
+  assertTreeIntact();
+});
+
+test('a symlink out of the firmware tree is not followed', async () => {
+  fs.symlinkSync(path.join(server.firmwareDir, '..', 'outside.bin'), path.join(deviceDir, 'link.bin'));
+  const res = await call('DELETE', '/api/files', { directory: DEVICE, filename: 'link.bin' });
+  assert.equal(res.status, 400);
+  fs.unlinkSync(path.join(deviceDir, 'link.bin'));
+  assertTreeIntact();
+});
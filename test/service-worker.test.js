@@ -0,0 +1,29 @@
+// service-worker.test.js - The offline shell holds every page the update page links to and
+// every local file those pages load
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const source = fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf-8');
+const SHELL_FILES = source.match(/const SHELL_FILES = \[([^\]]*)\]/)[1].match(/'[^']+'/g).map(name => name.slice(1, -1));
+
+test('the sign-in page and the model list are in the shell', () => {
+  for (const page of ['index.html', 'firmware.html', 'update.html']) {
+    assert.ok(SHELL_FILES.includes(page), page);
+  }
+});
+
+test('every local script and link of a shell page is in the shell', () => {
+  for (const page of SHELL_FILES.filter(file => file.endsWith('.html'))) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf-8');
+    const refs = [...html.matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)="([^"]+)"/g)].map(match => match[1])
+      .filter(ref => !/^(https?:)?\/\//.test(ref));
+    for (const ref of refs) assert.ok(SHELL_FILES.includes(ref), `${page} loads ${ref}`);
+  }
+});
+
+test('every shell file exists', () => {
+  for (const file of SHELL_FILES) assert.ok(fs.existsSync(path.join(ROOT, file)), file);
+});
@@ -0,0 +1,57 @@
+// session-logs.test.js - Session log uploads: the larger body limit applies to them only,
+// and log files without a record are pruned
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const OtaSessionLog = require('../ota-session-log');
+const { startServer } = require('./helpers/server');
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await server.login('rider@example.com');
+});
+
+after(() => server.stop());
+
+// A finished session with events of events × ~490 characters
+function sessionLog(events) {
+  const session = OtaSessionLog.createSessionLog({ device: { name: 'TPWT-1' }, release: { version: '1.1.0' } });
+  for (let i = 0; i < events; i++) session.add('progress', `chunk ${i} `.padEnd(490, '.'));
+  session.finish('confirmed');
+  return session.toJSON();
+}
+
+test('a session log of a few hundred KB is accepted', async () => {
+  const log = sessionLog(600);
+  assert.ok(JSON.stringify(log).length > 250 * 1024);
+  const res = await server.request('POST', '/api/session-logs', { token: user.token, body: log });
+  assert.equal(res.status, 200, JSON.stringify(res.data));
+});
+
+test('other JSON routes keep the default body limit', async () => {
+  const res = await server.request('POST', '/api/updates', {
+    token: user.token,
+    body: { id: 'report-0001', outcome: 'failed', log: 'x'.repeat(300 * 1024) }
+  });
+  assert.equal(res.status, 413);
+});
+
+test('log files without a record are removed on the next upload', async () => {
+  const dir = path.join(server.dataDir, 'session-logs');
+  fs.mkdirSync(dir, { recursive: true });
+  const orphan = path.join(dir, '00000000.json');
+  fs.writeFileSync(orphan, '{}');
+
+  const log = sessionLog(1);
+  const res = await server.request('POST', '/api/session-logs', { token: user.token, body: log });
+  assert.equal(res.status, 200, JSON.stringify(res.data));
+  assert.ok(!fs.existsSync(orphan));
+  assert.ok(fs.existsSync(path.join(dir, `${log.id}.json`)));
+
+  const read = await server.request('GET', `/api/session-logs/${log.id}`, { token: user.token });
+  assert.equal(read.status, 200);
+});
@@ -0,0 +1,51 @@
+// upload.test.js - POST /api/upload only takes images built for the target model
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, ADMIN_EMAIL, startServer } = require('./helpers/server');
+
+const WTC_IMAGE = fs.readFileSync(path.join(ROOT, 'wheelturtle.ino.bin'));
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.login(ADMIN_EMAIL);
+});
+
+after(() => server.stop());
+
+function upload(directory, filename, data = WTC_IMAGE, fields = { version: '1.0.0' }) {
+  const form = new FormData();
+  form.append('directory', directory);
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  form.append('file', new Blob([data]), filename);
+  return server.request('POST', '/api/upload', { token: admin.token, body: form });
+}
+
+test('a model image uploads into its own directory', async () => {
+  const res = await upload('Wheel-Turtle-Club', 'wtc-1.0.0.bin');
+  assert.equal(res.status, 200, JSON.stringify(res.data));
+  assert.equal(res.data.release.version, '1.0.0');
+});
+
+test('one model image is rejected in another model directory', async () => {
+  for (const directory of ['Wheel-Turtle-PRO', 'Brake-Turtle-PRO', 'CANGate', 'Telelogger']) {
+    const res = await upload(directory, 'wtc-1.0.0.bin');
+    assert.equal(res.status, 400, `${directory}: ${JSON.stringify(res.data)}`);
+    assert.match(res.data.error, /does not match/);
+    assert.equal(fs.existsSync(path.join(server.firmwareDir, directory, 'wtc-1.0.0.bin')), false);
+  }
+});
+
+test('an Arduino build is rejected in a directory without a profile', async () => {
+  const res = await upload('Bench-Rig', 'wtc-1.0.0.bin');
+  assert.equal(res.status, 400);
+});
+
+test('a file that is not an ESP image is rejected', async () => {
+  const res = await upload('Wheel-Turtle-Club', 'junk.bin', Buffer.alloc(4096, 7));
+  assert.equal(res.status, 400);
+});